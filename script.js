@@ -1,7 +1,8 @@
 /*
   adrian-shell: browser terminal that boots with a pacman-like install
-  Commands supported: ls, cat
-  Design: extensible command registry to add new commands easily
+  Commands: everything passed to registerCommand (run `help` for the list); pacman packages add more
+  Design: extensible command registry to add new commands easily; handlers write to
+  stdout/stderr streams so output can be piped (|), redirected (>, >>, <) and chained (;, &&, ||)
 */
 
 (function () {
@@ -9,13 +10,475 @@
   const inputEl = document.getElementById('input');
   const promptEl = document.getElementById('prompt');
 
-  // Virtual filesystem model
-  const files = [
-    { name: 'about.txt', size: '694B', content: 'I am a software engineer working on server-side Rust and embedded Linux. I am available for freelance work; email for enquiries.' },
-    { name: 'contact.yaml', size: '388B', content: 'name: Adrian\nemail: adrian.nilsson.coding@gmail.com' },
-    { name: 'projects.json', size: '2.1K', content: '{\n  "featured": ["shell", "web", "linux"]\n}' },
-    { name: 'breakout', size: '2.1K', content: '01001110001101010100011001010011001100010010001110000000000000001111000' },
-  ];
+  // Virtual filesystem model: nested objects are directories, strings are file contents
+  const HOME = '/home/adrian';
+  const fsSeed = {
+    home: {
+      adrian: {
+        'about.txt': 'I am a software engineer working on server-side Rust and embedded Linux. I am available for freelance work; email for enquiries.',
+        'contact.yaml': 'name: Adrian\nemail: adrian.nilsson.coding@gmail.com',
+        'projects.json': '{\n  "featured": ["shell", "web", "linux"]\n}',
+        'breakout': '01001110001101010100011001010011001100010010001110000000000000001111000',
+        '.adrianshrc': [
+          '# ~/.adrianshrc: executed line by line after boot',
+          '# Define aliases, variables and greeting commands here.',
+          "alias ll='ls'",
+          "alias ..='cd ..'",
+          "alias motd='cat /etc/motd'",
+          '# echo "welcome back, $USER"',
+        ].join('\n'),
+        levels: {
+          '1-classic.txt': [
+            '; Breakout level: one character per brick slot, up to 13 per row.',
+            '; # or 1 is a brick, % takes two hits and @ three; ., 0 or a space leaves a gap.',
+            '%%%%%%%%%%%%%',
+            '#############',
+            '#############',
+            '#############',
+          ].join('\n'),
+          '2-pyramid.txt': [
+            '......@......',
+            '.....%%%.....',
+            '....%%%%%....',
+            '...#######...',
+            '..#########..',
+            '.###########.',
+          ].join('\n'),
+          '3-checker.txt': [
+            '#.#.#.#.#.#.#',
+            '.#.#.#.#.#.#.',
+            '#.#.#.#.#.#.#',
+            '.#.#.#.#.#.#.',
+            '#.#.#.#.#.#.#',
+          ].join('\n'),
+          // Rows of bits may run past the playfield and wrap, so this decodes the same map as ~/breakout
+          '4-binary.txt': '01001110001101010100011001010011001100010010001110000000000000001111000',
+        },
+        projects: {
+          'README.md': '# projects\n\nThings I build in my spare time.\n\n- terminal-website: this page\n- embedded: tooling for small Linux boards',
+          'terminal-website': {
+            'NOTES.md': 'A browser terminal written in plain JavaScript.\nNo build step, no dependencies.',
+          },
+        },
+        '.config': {
+          'adrian-shell': {
+            'config.yaml': 'prompt: default\nhistory: 500',
+            themes: {
+              'matrix.theme': [
+                '# Custom theme: apply with `theme matrix`. Colors left out come from the default theme.',
+                'description = Green on black',
+                'bg = #000000',
+                'panel = #001100',
+                'text = #33ff66',
+                'muted = #1a8c3a',
+                'green = #66ff99',
+                'blue = #00cc66',
+                'cyan = #99ffcc',
+              ].join('\n'),
+            },
+          },
+        },
+      },
+    },
+    etc: {
+      'hostname': 'webterm',
+      'os-release': 'NAME="WebTerm Linux"\nID=webterm\nPRETTY_NAME="WebTerm Linux"',
+      'motd': 'Welcome to WebTerm Linux. Type help to get started.',
+    },
+    tmp: {},
+  };
+
+  // Built-in files are owned by root outside HOME, dated to the site's publish time, and mode 644/755
+  const fsSeedTime = Date.UTC(2025, 8, 1, 12, 0);
+  const fsSeedModes = { [`${HOME}/breakout`]: 0o755 };
+
+  function createDirNode(meta = {}) {
+    return { type: 'dir', children: new Map(), mode: 0o755, owner: 'adrian', mtime: Date.now(), ...meta };
+  }
+
+  function createFileNode(content, meta = {}) {
+    return { type: 'file', content, mode: 0o644, owner: 'adrian', mtime: Date.now(), ...meta };
+  }
+
+  function buildTree(seed, path = '/') {
+    const owner = path === HOME || path.startsWith(HOME + '/') ? 'adrian' : 'root';
+    const dir = createDirNode({ owner, mtime: fsSeedTime, layer: 'base' });
+    for (const [name, value] of Object.entries(seed)) {
+      const childPath = joinPath(path, name);
+      const meta = { owner: childPath.startsWith(HOME + '/') ? 'adrian' : 'root', mtime: fsSeedTime };
+      if (fsSeedModes[childPath]) meta.mode = fsSeedModes[childPath];
+      dir.children.set(name, typeof value === 'string' ? createFileNode(value, meta) : buildTree(value, childPath));
+    }
+    return dir;
+  }
+
+  let fsRoot = buildTree(fsSeed);
+  let cwd = HOME;
+
+  // Path helpers: every path is resolved to an absolute, normalized string first
+  function resolvePath(path) {
+    let raw = path === undefined || path === '' ? cwd : path;
+    if (raw === '~') raw = HOME;
+    else if (raw.startsWith('~/')) raw = HOME + raw.slice(1);
+    else if (!raw.startsWith('/')) raw = `${cwd}/${raw}`;
+
+    const parts = [];
+    for (const part of raw.split('/')) {
+      if (!part || part === '.') continue;
+      if (part === '..') { parts.pop(); continue; }
+      parts.push(part);
+    }
+    return '/' + parts.join('/');
+  }
+
+  function splitPath(absPath) {
+    return absPath.split('/').filter(Boolean);
+  }
+
+  function dirname(absPath) {
+    const parts = splitPath(absPath);
+    parts.pop();
+    return '/' + parts.join('/');
+  }
+
+  function basename(absPath) {
+    const parts = splitPath(absPath);
+    return parts.length ? parts[parts.length - 1] : '/';
+  }
+
+  function joinPath(dir, name) {
+    return dir === '/' ? `/${name}` : `${dir}/${name}`;
+  }
+
+  function displayPath(absPath) {
+    if (absPath === HOME) return '~';
+    if (absPath.startsWith(HOME + '/')) return '~' + absPath.slice(HOME.length);
+    return absPath;
+  }
+
+  function getNode(absPath) {
+    let node = fsRoot;
+    for (const part of splitPath(absPath)) {
+      if (node.type !== 'dir') return null;
+      node = node.children.get(part);
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  // Filesystem operations throw errors with coreutils-style messages; handlers prefix the command name
+  function fsError(path, reason) {
+    return new Error(`${path}: ${reason}`);
+  }
+
+  function getParentDir(path) {
+    const abs = resolvePath(path);
+    if (abs === '/') throw fsError(path, 'Operation not permitted');
+    const parent = getNode(dirname(abs));
+    if (!parent) throw fsError(path, 'No such file or directory');
+    if (parent.type !== 'dir') throw fsError(path, 'Not a directory');
+    return { parent, name: basename(abs), abs };
+  }
+
+  function readFile(path) {
+    const node = getNode(resolvePath(path));
+    if (!node) throw fsError(path, 'No such file or directory');
+    if (node.type === 'dir') throw fsError(path, 'Is a directory');
+    return node.content;
+  }
+
+  function writeFile(path, content) {
+    const { parent, name, abs } = getParentDir(path);
+    const existing = parent.children.get(name);
+    if (existing && existing.type === 'dir') throw fsError(path, 'Is a directory');
+    if (existing) {
+      existing.content = content;
+      existing.mtime = Date.now();
+    } else {
+      parent.children.set(name, createFileNode(content));
+    }
+    persistTree(abs);
+  }
+
+  function touchPath(path) {
+    const abs = resolvePath(path);
+    const node = getNode(abs);
+    if (!node) {
+      writeFile(path, '');
+      return;
+    }
+    node.mtime = Date.now();
+    persistTree(abs, { recursive: false });
+  }
+
+  function makeDir(path, { parents = false } = {}) {
+    const abs = resolvePath(path);
+    if (parents) {
+      let node = fsRoot;
+      let current = '/';
+      for (const part of splitPath(abs)) {
+        current = joinPath(current, part);
+        let next = node.children.get(part);
+        if (!next) {
+          next = createDirNode();
+          node.children.set(part, next);
+          persistTree(current);
+        } else if (next.type !== 'dir') {
+          throw fsError(path, 'Not a directory');
+        }
+        node = next;
+      }
+      return;
+    }
+    const { parent, name } = getParentDir(path);
+    if (parent.children.has(name)) throw fsError(path, 'File exists');
+    parent.children.set(name, createDirNode());
+    persistTree(abs);
+  }
+
+  function removePath(path, { recursive = false } = {}) {
+    const { parent, name, abs } = getParentDir(path);
+    const node = parent.children.get(name);
+    if (!node) throw fsError(path, 'No such file or directory');
+    if (node.type === 'dir' && !recursive) throw fsError(path, 'Is a directory');
+    if (cwd === abs || cwd.startsWith(abs + '/')) throw fsError(path, 'Device or resource busy');
+    parent.children.delete(name);
+    persistRemoval(abs);
+  }
+
+  function cloneNode(node) {
+    if (node.type === 'file') return createFileNode(node.content, { mode: node.mode });
+    const copy = createDirNode({ mode: node.mode });
+    for (const [name, child] of node.children) copy.children.set(name, cloneNode(child));
+    return copy;
+  }
+
+  // Resolves the destination of cp/mv: copying into an existing directory keeps the source name
+  function resolveDestination(src, dest) {
+    const destAbs = resolvePath(dest);
+    const destNode = getNode(destAbs);
+    if (destNode && destNode.type === 'dir') return joinPath(destAbs, basename(resolvePath(src)));
+    return destAbs;
+  }
+
+  function copyPath(src, dest, { recursive = false } = {}) {
+    const srcAbs = resolvePath(src);
+    const node = getNode(srcAbs);
+    if (!node) throw fsError(src, 'No such file or directory');
+    if (node.type === 'dir' && !recursive) throw fsError(src, 'Is a directory (not copied)');
+    const target = resolveDestination(src, dest);
+    if (target === srcAbs) throw fsError(dest, 'Source and destination are the same file');
+    if (target.startsWith(srcAbs + '/')) throw fsError(dest, 'Cannot copy a directory into itself');
+    const { parent, name } = getParentDir(target);
+    const existing = parent.children.get(name);
+    if (existing && existing.type === 'dir' && node.type !== 'dir') throw fsError(dest, 'Is a directory');
+    parent.children.set(name, cloneNode(node));
+    persistRemoval(target);
+    persistTree(target);
+  }
+
+  function movePath(src, dest) {
+    const srcAbs = resolvePath(src);
+    const node = getNode(srcAbs);
+    if (!node) throw fsError(src, 'No such file or directory');
+    const target = resolveDestination(src, dest);
+    if (target === srcAbs) return;
+    if (target.startsWith(srcAbs + '/')) throw fsError(dest, 'Cannot move a directory into itself');
+    if (cwd === srcAbs || cwd.startsWith(srcAbs + '/')) throw fsError(src, 'Device or resource busy');
+    const { parent, name } = getParentDir(target);
+    const existing = parent.children.get(name);
+    if (existing && existing.type === 'dir') throw fsError(dest, 'Is a directory');
+    parent.children.set(name, node);
+    getNode(dirname(srcAbs)).children.delete(basename(srcAbs));
+    persistRemoval(srcAbs);
+    persistRemoval(target);
+    persistTree(target);
+  }
+
+  // Persistent overlay: the tree built from fsSeed is the read-only base layer. Every change is
+  // stored per path in IndexedDB and replayed over the base on load; whiteout records hide
+  // deleted base paths and `opaque` directories hide base children of a recreated directory.
+  const fsDbName = 'adrian-shell';
+  const fsStoreName = 'fs-overlay';
+  let fsDbPromise = null;
+  let overlayWrites = Promise.resolve();
+
+  function openFsDb() {
+    if (!fsDbPromise) {
+      fsDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) { reject(new Error('IndexedDB is not available')); return; }
+        const request = indexedDB.open(fsDbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(fsStoreName, { keyPath: 'path' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return fsDbPromise;
+  }
+
+  // Runs `fn(store)` in one transaction and resolves with the result of the request it returns, if any
+  async function withFsStore(mode, fn) {
+    const db = await openFsDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(fsStoreName, mode);
+      const request = fn(tx.objectStore(fsStoreName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Writes are chained so they reach IndexedDB in the order the changes happened
+  function queueOverlayWrite(fn) {
+    overlayWrites = overlayWrites.then(() => withFsStore('readwrite', fn)).catch(() => {});
+    return overlayWrites;
+  }
+
+  function nodeToRecord(path, node) {
+    const record = { path, type: node.type, mode: node.mode, owner: node.owner, mtime: node.mtime };
+    if (node.type === 'file') record.content = node.content;
+    else record.opaque = node.layer !== 'base';
+    return record;
+  }
+
+  function persistTree(absPath, { recursive = true } = {}) {
+    const records = [];
+    const visit = (path, node) => {
+      records.push(nodeToRecord(path, node));
+      if (recursive && node.type === 'dir') {
+        for (const [name, child] of node.children) visit(joinPath(path, name), child);
+      }
+    };
+    const node = getNode(absPath);
+    if (!node) return;
+    visit(absPath, node);
+    queueOverlayWrite((store) => { for (const record of records) store.put(record); });
+  }
+
+  function persistRemoval(absPath) {
+    queueOverlayWrite((store) => {
+      store.delete(IDBKeyRange.bound(`${absPath}/`, `${absPath}/\uffff`));
+      store.put({ path: absPath, type: 'whiteout' });
+    });
+  }
+
+  function readOverlayRecords() {
+    return withFsStore('readonly', store => store.getAll()).catch(() => []);
+  }
+
+  // Parents are applied before children; records whose parent no longer exists are skipped
+  function applyOverlay(records) {
+    const depth = (path) => splitPath(path).length;
+    const sorted = records.slice().sort((a, b) => depth(a.path) - depth(b.path) || a.path.localeCompare(b.path));
+    for (const record of sorted) {
+      const parent = getNode(dirname(record.path));
+      if (!parent || parent.type !== 'dir' || record.path === '/') continue;
+      const name = basename(record.path);
+      const meta = { mode: record.mode, owner: record.owner, mtime: record.mtime };
+      if (record.type === 'whiteout') {
+        parent.children.delete(name);
+      } else if (record.type === 'file') {
+        parent.children.set(name, createFileNode(record.content, meta));
+      } else {
+        const existing = parent.children.get(name);
+        if (existing && existing.type === 'dir' && !record.opaque) Object.assign(existing, meta);
+        else parent.children.set(name, createDirNode(meta));
+      }
+    }
+  }
+
+  async function loadFsOverlay() {
+    applyOverlay(await readOverlayRecords());
+    if (!getNode(cwd)) cwd = HOME;
+    setVar('PWD', cwd);
+  }
+
+  async function resetFsOverlay() {
+    await queueOverlayWrite(store => store.clear());
+    fsRoot = buildTree(fsSeed);
+    if (!getNode(cwd)) cwd = HOME;
+    setVar('PWD', cwd);
+    updatePrompt();
+  }
+
+  function getTreeBytes(node) {
+    if (node.type === 'file') return getFileSizeBytes(node);
+    let total = 0;
+    for (const child of node.children.values()) total += getTreeBytes(child);
+    return total;
+  }
+
+  function changeDirectory(path) {
+    const abs = resolvePath(path);
+    const node = getNode(abs);
+    if (!node) throw fsError(path, 'No such file or directory');
+    if (node.type !== 'dir') throw fsError(path, 'Not a directory');
+    if (abs !== cwd) setVar('OLDPWD', cwd);
+    cwd = abs;
+    setVar('PWD', cwd);
+    updatePrompt();
+  }
+
+  // Shell variables. Dynamic ones ($?, $#, $@ and the positional $0..$n) are computed in getVar
+  // instead of being stored.
+  const shellVars = new Map([
+    ['USER', 'adrian'],
+    ['HOME', HOME],
+    ['HOSTNAME', 'webterm'],
+    ['SHELL', '/usr/bin/adrian-shell'],
+    ['TERM', 'xterm-256color'],
+    ['PWD', HOME],
+    ['PS1', '[\\u@\\h \\w]\\$ '],
+  ]);
+
+  // Positional parameters of the running script or function; `name` is $0
+  let positional = { name: 'adrian-shell', args: [] };
+
+  function getVar(name) {
+    if (name === '?') return String(lastStatus);
+    if (name === '#') return String(positional.args.length);
+    if (name === '@' || name === '*') return positional.args.join(' ');
+    if (/^\d+$/.test(name)) return Number(name) === 0 ? positional.name : positional.args[Number(name) - 1];
+    return shellVars.get(name);
+  }
+
+  function setVar(name, value) {
+    shellVars.set(name, value);
+    if (name === 'PS1') updatePrompt();
+  }
+
+  function isValidVarName(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+  }
+
+  function isAssignment(word) {
+    const eq = word.indexOf('=');
+    return eq > 0 && isValidVarName(word.slice(0, eq));
+  }
+
+  function assignVar(word) {
+    const eq = word.indexOf('=');
+    setVar(word.slice(0, eq), word.slice(eq + 1));
+  }
+
+  // Renders PS1 with the bash escapes \u, \h, \H, \w, \W, \$ and \\, then expands $VARs
+  function renderPrompt(template) {
+    const escapes = {
+      u: () => getVar('USER') ?? '',
+      h: () => (getVar('HOSTNAME') ?? '').split('.')[0],
+      H: () => getVar('HOSTNAME') ?? '',
+      w: () => displayPath(cwd),
+      W: () => (cwd === HOME ? '~' : basename(cwd)),
+      $: () => (getVar('USER') === 'root' ? '#' : '$'),
+      '\\': () => '\\',
+    };
+    const rendered = template.replace(/\\(.)/g, (match, ch) => (escapes[ch] ? escapes[ch]() : match));
+    return expandVariables(rendered);
+  }
+
+  function updatePrompt() {
+    promptEl.textContent = renderPrompt(getVar('PS1') ?? '$ ').trimEnd();
+  }
 
   // Utility: print line(s)
   function printLine(html, cssClass) {
@@ -33,265 +496,3495 @@
     printLine(`${escapeHtml(promptEl.textContent)} <span class="cyan">${escapeHtml(cmd)}</span>`);
   }
 
-  function escapeHtml(s) {
-    return s
-      .replaceAll('&', '&amp;')
-      .replaceAll('<', '&lt;')
-      .replaceAll('>', '&gt;');
-  }
+  function escapeHtml(s) {
+    return s
+      .replaceAll('&', '&amp;')
+      .replaceAll('<', '&lt;')
+      .replaceAll('>', '&gt;');
+  }
+
+  // Output streams: handlers write through these instead of the DOM so output can be captured
+  // Writes are dropped once `signal` aborts so an interrupted command cannot keep printing
+  function createTerminalStream(defaultClass, signal) {
+    const closed = () => Boolean(signal && signal.aborted);
+    return {
+      isTTY: true,
+      print(text = '', cssClass) { if (!closed()) printLine(escapeHtml(String(text)), cssClass ?? defaultClass); },
+      printHtml(html, cssClass) { if (!closed()) printLine(html, cssClass ?? defaultClass); },
+    };
+  }
+
+  function createCaptureStream() {
+    const lines = [];
+    return {
+      isTTY: false,
+      print(text = '') { lines.push(String(text)); },
+      printHtml(html) { lines.push(htmlToText(html)); },
+      text() { return lines.map(l => `${l}\n`).join(''); },
+    };
+  }
+
+  function htmlToText(html) {
+    const el = document.createElement('div');
+    el.innerHTML = html;
+    return el.textContent;
+  }
+
+  // Command registry
+  const commands = new Map();
+  let lastStatus = 0;
+
+  // meta may declare `options` ([{ short, long, value, description }]), `operands`
+  // ([{ name, required, variadic }]) and a `complete({ args, current })` function returning
+  // candidates for the word being typed. Handlers receive the operands and `ctx.opts`.
+  function registerCommand(name, handler, description, meta = {}) {
+    commands.set(name, { handler, description, ...meta });
+  }
+
+  function unregisterCommand(name) {
+    commands.delete(name);
+  }
+
+  // Usage errors print the synopsis and exit 2; handlers may throw them for rules the spec can't express
+  function usageError(message) {
+    const err = new Error(message);
+    err.usage = true;
+    return err;
+  }
+
+  function optionKey(option) {
+    return option.short || option.long;
+  }
+
+  // getopt-style parsing of `args` against a command's `options` and `operands`. Options may appear
+  // anywhere before `--`; short flags combine (`-la`) and take values as `-n 5` or `-n5`, long ones as
+  // `--lines 5` or `--lines=5`. An option marked `digits` also accepts `-5`. opts are keyed by the
+  // short flag, or the long name for long-only options.
+  function parseCommandArgs(meta, args) {
+    const options = meta.options || [];
+    const opts = {};
+    const operands = [];
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg === '--') {
+        operands.push(...args.slice(i + 1));
+        break;
+      }
+      if (arg.startsWith('--')) {
+        const eq = arg.indexOf('=');
+        const long = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+        const option = options.find(o => o.long === long);
+        if (!option) throw usageError(`unrecognized option '--${long}'`);
+        if (!option.value && eq !== -1) throw usageError(`option '--${long}' doesn't allow an argument`);
+        const value = !option.value || (eq === -1 ? args[++i] : arg.slice(eq + 1));
+        if (value === undefined) throw usageError(`option '--${long}' requires an argument`);
+        opts[optionKey(option)] = value;
+        continue;
+      }
+      if (!arg.startsWith('-') || arg === '-') {
+        operands.push(arg);
+        continue;
+      }
+      const digits = options.find(o => o.digits);
+      if (digits && /^-\d+$/.test(arg)) {
+        opts[optionKey(digits)] = arg.slice(1);
+        continue;
+      }
+      for (let j = 1; j < arg.length; j++) {
+        const option = options.find(o => o.short === arg[j]);
+        if (!option) throw usageError(`invalid option -- '${arg[j]}'`);
+        if (!option.value) {
+          opts[option.short] = true;
+          continue;
+        }
+        const value = arg.slice(j + 1) || args[++i];
+        if (value === undefined) throw usageError(`option requires an argument -- '${arg[j]}'`);
+        opts[option.short] = value;
+        break;
+      }
+    }
+    const spec = meta.operands || [];
+    const required = spec.filter(o => o.required);
+    if (operands.length < required.length) throw usageError(`missing ${required[operands.length].name} operand`);
+    if (!spec.some(o => o.variadic) && operands.length > spec.length) {
+      throw usageError(`extra operand '${operands[spec.length]}'`);
+    }
+    return { opts, operands };
+  }
+
+  function printUsageError(name, meta, message, stderr) {
+    stderr.print(`${name}: ${message}`);
+    stderr.print(`Usage: ${formatSynopsis(name, meta)}`, 'dim');
+    stderr.print(`Try '${name} --help' for more information.`, 'dim');
+  }
+
+  // Runs a full command line: `;`, `&&` and `||` lists of `|` pipelines with redirections.
+  // Resolves to the exit status of the last command that ran, or 130 when `signal` aborts it.
+  // Interactive lines get bash-style history expansion and are recorded in the history.
+  async function runCommand(rawInput, signal, { interactive = false } = {}) {
+    let input = rawInput.trim();
+    if (!input) return lastStatus;
+
+    if (interactive) {
+      try {
+        const expanded = expandHistory(input);
+        if (expanded !== input) {
+          printLine(escapeHtml(expanded));
+          input = expanded;
+        }
+      } catch (err) {
+        printLine(`adrian-shell: ${escapeHtml(err.message)}`, 'err');
+        lastStatus = 1;
+        return lastStatus;
+      }
+      addHistoryEntry(input);
+    }
+
+    let list;
+    try {
+      list = parseCommandLine(input);
+    } catch (err) {
+      printLine(`adrian-shell: ${escapeHtml(err.message)}`, 'err');
+      lastStatus = 2;
+      return lastStatus;
+    }
+
+    await runList(list, signal);
+    updatePrompt();
+    return lastStatus;
+  }
+
+  // Runs a parsed list, honouring `&&` and `||`. `io` may supply the stdout and stderr streams the
+  // list writes to, which is how scripts and functions run inside a pipeline stage.
+  async function runList(list, signal, io = {}) {
+    let previousOp = ';';
+    for (const { pipeline, op } of list) {
+      const skip = (previousOp === '&&' && lastStatus !== 0) || (previousOp === '||' && lastStatus === 0);
+      if (!skip) lastStatus = await runPipeline(pipeline, signal, io);
+      if (signal && signal.aborted) {
+        lastStatus = 130;
+        break;
+      }
+      previousOp = op;
+    }
+    return lastStatus;
+  }
+
+  // Stages run one after another; each stage's captured stdout becomes the next stage's stdin
+  async function runPipeline(pipeline, signal, io = {}) {
+    const stderr = io.stderr || createTerminalStream('err', signal);
+    let stdin = null;
+    let status = 0;
+    for (let i = 0; i < pipeline.length; i++) {
+      if (signal && signal.aborted) return 130;
+      const argv = pipeline[i].argv.flatMap(expandWord);
+      const redirects = pipeline[i].redirects.map(({ op, target }) => ({ op, target: expandWord(target).join(' ') }));
+      const isLast = i === pipeline.length - 1;
+      let stdout = isLast ? io.stdout || createTerminalStream(undefined, signal) : createCaptureStream();
+      let outputFile = null;
+      try {
+        for (const { op, target } of redirects) {
+          if (op === '<') {
+            stdin = readFile(target);
+          } else {
+            outputFile = { op, target };
+            stdout = createCaptureStream();
+          }
+        }
+      } catch (err) {
+        stderr.print(`adrian-shell: ${err.message}`);
+        status = 1;
+        stdin = '';
+        continue;
+      }
+
+      status = await runSimpleCommand(argv, { stdin, stdout, stderr, signal });
+
+      if (outputFile) {
+        try {
+          const existing = outputFile.op === '>>' ? readFileIfExists(outputFile.target) : '';
+          writeFile(outputFile.target, existing + stdout.text());
+        } catch (err) {
+          stderr.print(`adrian-shell: ${err.message}`);
+          status = 1;
+        }
+        stdin = '';
+      } else {
+        stdin = isLast ? null : stdout.text();
+      }
+    }
+    return status;
+  }
+
+  async function runSimpleCommand(argv, ctx) {
+    if (!argv.length) return 0;
+    if (argv.every(isAssignment)) {
+      for (const word of argv) assignVar(word);
+      return 0;
+    }
+    const [name, ...args] = argv;
+    if (shellFunctions.has(name)) return callFunction(shellFunctions.get(name), args, ctx);
+    const entry = commands.get(name);
+    if (!entry && name.includes('/')) return runExecutable(name, args, ctx);
+    if (!entry) {
+      ctx.stderr.print(`command not found: ${name}`);
+      return 127;
+    }
+    const { signal } = ctx;
+    let parsed = { opts: {}, operands: args };
+    if (!entry.literalArgs) {
+      const end = args.indexOf('--');
+      if ((end === -1 ? args : args.slice(0, end)).includes('--help')) {
+        printCommandHelp(name, entry, ctx.stdout);
+        return 0;
+      }
+      try {
+        parsed = parseCommandArgs(entry, args);
+      } catch (err) {
+        printUsageError(name, entry, err.message, ctx.stderr);
+        return 2;
+      }
+    }
+    try {
+      const result = entry.handler(parsed.operands, { ...ctx, opts: parsed.opts });
+      const status = await (signal ? Promise.race([result, whenAborted(signal)]) : result);
+      if (signal && signal.aborted) return 130;
+      return typeof status === 'number' ? status : 0;
+    } catch (err) {
+      if (signal && signal.aborted) return 130;
+      if (err.usage) {
+        printUsageError(name, entry, err.message, ctx.stderr);
+        return 2;
+      }
+      ctx.stderr.print(`error: ${String(err)}`);
+      return 1;
+    }
+  }
+
+  function whenAborted(signal) {
+    return new Promise((resolve) => {
+      if (signal.aborted) resolve(130);
+      else signal.addEventListener('abort', () => resolve(130), { once: true });
+    });
+  }
+
+  function readFileIfExists(path) {
+    const node = getNode(resolvePath(path));
+    return node && node.type === 'file' ? node.content : '';
+  }
+
+  const operatorTokens = ['&&', '||', '>>', '|', ';', '>', '<'];
+
+  function tokenize(s) {
+    // tokenizer supporting quoted strings and shell operators; returns { type: 'op', value } and
+    // { type: 'word', value, pieces } tokens. pieces remember quoting so $VAR expansion can run later.
+    const out = [];
+    let pieces = [];
+    let hasWord = false;
+    let quote = null;
+    const append = (text, pieceQuote) => {
+      const last = pieces[pieces.length - 1];
+      if (last && last.quote === pieceQuote) last.text += text;
+      else pieces.push({ text, quote: pieceQuote });
+      hasWord = true;
+    };
+    const flush = () => {
+      if (hasWord) out.push({ type: 'word', value: pieces.map(p => p.text).join(''), pieces });
+      pieces = [];
+      hasWord = false;
+    };
+    for (let i = 0; i < s.length; i++) {
+      const ch = s[i];
+      if (quote) {
+        if (ch === quote) { quote = null; continue; }
+        if (ch === '\\' && quote === '"' && '$`"\\'.includes(s[i + 1])) { append(s[++i], "'"); continue; }
+        append(ch, quote);
+      } else {
+        if (ch === '"' || ch === "'") { quote = ch; append('', ch); continue; }
+        if (ch === '\\' && i + 1 < s.length) { append(s[++i], "'"); continue; }
+        if (ch === ' ' || ch === '\t') { flush(); continue; }
+        // `#` starts a comment only at the beginning of a word, so `a#b` stays one word
+        if (ch === '#' && !hasWord) break;
+        const op = operatorTokens.find(o => s.startsWith(o, i));
+        if (op) {
+          flush();
+          out.push({ type: 'op', value: op });
+          i += op.length - 1;
+          continue;
+        }
+        append(ch, null);
+      }
+    }
+    if (quote) throw new Error(`unexpected EOF while looking for matching \`${quote}'`);
+    flush();
+    return out;
+  }
+
+  // Expands $VAR, ${VAR}, $? and $1.. in a word's unquoted and double-quoted pieces. Unquoted
+  // expansions are split on whitespace like bash field splitting, so a word can expand to zero or
+  // more fields. A lone "$@" keeps each positional parameter as its own field.
+  function expandWord(word) {
+    if (word.pieces.length === 1 && word.pieces[0].quote === '"' && word.value === '$@') return [...positional.args];
+    const fields = [];
+    let current = '';
+    let hasCurrent = false;
+    for (const piece of word.pieces) {
+      if (piece.quote === "'") {
+        current += piece.text;
+        hasCurrent = true;
+        continue;
+      }
+      const text = expandVariables(piece.text);
+      if (piece.quote === '"') {
+        current += text;
+        hasCurrent = true;
+        continue;
+      }
+      text.split(/[ \t\n]+/).forEach((part, index) => {
+        if (index > 0 && hasCurrent) {
+          fields.push(current);
+          current = '';
+          hasCurrent = false;
+        }
+        if (part) {
+          current += part;
+          hasCurrent = true;
+        }
+      });
+    }
+    if (hasCurrent) fields.push(current);
+    return fields;
+  }
+
+  function expandVariables(text) {
+    return text.replace(/\$(?:\{([^}]*)\}|([A-Za-z_][A-Za-z0-9_]*|[0-9?#@*]))/g, (match, braced, bare) => {
+      const name = braced ?? bare;
+      return getVar(name) ?? '';
+    });
+  }
+
+  // Aliases replace the first word of each command with the tokens of their value
+  const aliases = new Map();
+
+  function isAliasCandidate(token) {
+    return token.type === 'word' && token.pieces.every(p => p.quote === null) && aliases.has(token.value);
+  }
+
+  function expandAliases(tokens) {
+    const out = [];
+    let atCommandStart = true;
+    for (const token of tokens) {
+      if (atCommandStart && isAliasCandidate(token)) {
+        out.push(...expandAlias(token.value, new Set()));
+      } else {
+        out.push(token);
+      }
+      atCommandStart = token.type === 'op' && ['|', ';', '&&', '||'].includes(token.value);
+    }
+    return out;
+  }
+
+  // `seen` stops self-referencing aliases such as `alias ls='ls -l'` from expanding forever
+  function expandAlias(name, seen) {
+    seen.add(name);
+    const [first, ...rest] = tokenize(aliases.get(name));
+    if (!first) return [];
+    if (isAliasCandidate(first) && !seen.has(first.value)) return [...expandAlias(first.value, seen), ...rest];
+    return [first, ...rest];
+  }
+
+  function parseCommandLine(input) {
+    return parseTokens(expandAliases(tokenize(input)));
+  }
+
+  // Parses tokens into [{ pipeline: [{ argv, redirects }], op }] where op joins an entry to the next one
+  function parseTokens(tokens) {
+    const list = [];
+    let pipeline = [];
+    let command = { argv: [], redirects: [] };
+    const unexpected = (value) => new Error(`syntax error near unexpected token \`${value}'`);
+    const isEmpty = (cmd) => !cmd.argv.length && !cmd.redirects.length;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'word') {
+        command.argv.push(token);
+        continue;
+      }
+      if (token.value === '>' || token.value === '>>' || token.value === '<') {
+        const target = tokens[i + 1];
+        if (!target || target.type !== 'word') throw unexpected(target ? target.value : 'newline');
+        command.redirects.push({ op: token.value, target });
+        i++;
+        continue;
+      }
+      if (isEmpty(command)) throw unexpected(token.value);
+      pipeline.push(command);
+      command = { argv: [], redirects: [] };
+      if (token.value !== '|') {
+        list.push({ pipeline, op: token.value });
+        pipeline = [];
+      }
+    }
+
+    if (isEmpty(command)) {
+      if (pipeline.length) throw unexpected('newline');
+      const last = list[list.length - 1];
+      if (last && last.op !== ';') throw unexpected('newline');
+    } else {
+      pipeline.push(command);
+      list.push({ pipeline, op: ';' });
+    }
+    return list;
+  }
+
+  // Built-in commands
+  registerCommand('ls', (args, { stdout, stderr, opts: flags }) => {
+    const targets = args.length ? args : ['.'];
+    let status = 0;
+    const files = [];
+    const dirs = [];
+    for (const target of targets) {
+      const abs = resolvePath(target);
+      const node = getNode(abs);
+      if (!node) {
+        stderr.print(`ls: cannot access '${target}': No such file or directory`);
+        status = 2;
+      } else if (node.type === 'dir') {
+        dirs.push({ label: target, abs, node });
+      } else {
+        files.push({ name: target, node });
+      }
+    }
+
+    let printed = false;
+    if (files.length) {
+      printLsEntries(stdout, sortLsEntries(files, flags), flags);
+      printed = true;
+    }
+    const showHeaders = flags.R || targets.length > 1;
+    const queue = sortLsEntries(dirs.map(d => ({ ...d, name: d.label })), flags);
+    while (queue.length) {
+      const { label, abs, node } = queue.shift();
+      if (showHeaders) {
+        if (printed) stdout.print('');
+        stdout.print(`${label}:`);
+      }
+      const entries = listDirEntries(abs, node, flags);
+      printLsEntries(stdout, entries, flags);
+      printed = true;
+      if (flags.R) {
+        const subdirs = entries
+          .filter(e => e.node.type === 'dir' && e.name !== '.' && e.name !== '..')
+          .map(e => ({ label: label.endsWith('/') ? label + e.name : `${label}/${e.name}`, abs: joinPath(abs, e.name), node: e.node }));
+        queue.unshift(...subdirs);
+      }
+    }
+    return status;
+  }, 'List files', {
+    examples: ['ls -la', 'ls -lhS ~/projects', 'ls -R /etc'],
+    featured: true,
+    options: [
+      { short: 'l', description: 'Use a long listing format' },
+      { short: 'a', long: 'all', description: 'Include entries starting with .' },
+      { short: 'h', long: 'human-readable', description: 'Print sizes like 1.2k in long format' },
+      { short: '1', description: 'List one entry per line' },
+      { short: 't', description: 'Sort by modification time, newest first' },
+      { short: 'S', description: 'Sort by file size, largest first' },
+      { short: 'r', long: 'reverse', description: 'Reverse the sort order' },
+      { short: 'R', long: 'recursive', description: 'List subdirectories recursively' },
+    ],
+    operands: [{ name: 'path', variadic: true }],
+    complete: ({ current }) => completePaths(current),
+  });
+
+  function listDirEntries(abs, node, flags) {
+    const entries = [];
+    if (flags.a) {
+      entries.push({ name: '.', node });
+      entries.push({ name: '..', node: getNode(dirname(abs)) });
+    }
+    for (const [name, child] of node.children) {
+      if (!flags.a && name.startsWith('.')) continue;
+      entries.push({ name, node: child });
+    }
+    return sortLsEntries(entries, flags);
+  }
+
+  // Name order ignores leading dots like GNU ls; -t and -S sort newest and largest first
+  function sortLsEntries(entries, flags) {
+    const byName = (a, b) => a.name.replace(/^\.+/, '').localeCompare(b.name.replace(/^\.+/, '')) || a.name.localeCompare(b.name);
+    let compare = byName;
+    if (flags.t) compare = (a, b) => b.node.mtime - a.node.mtime || byName(a, b);
+    if (flags.S) compare = (a, b) => getFileSizeBytes(b.node) - getFileSizeBytes(a.node) || byName(a, b);
+    const sorted = entries.slice().sort(compare);
+    return flags.r ? sorted.reverse() : sorted;
+  }
+
+  function printLsEntries(stdout, entries, flags) {
+    if (flags.l) {
+      for (const { name, node } of entries) printLsLine(stdout, name, node, flags);
+      return;
+    }
+    if (flags['1'] || !stdout.isTTY) {
+      for (const { name, node } of entries) stdout.printHtml(formatLsName(name, node));
+      return;
+    }
+    const labels = entries.map(({ name, node }) => `${getNodeIcon(name, node)} ${name}`);
+    const byLabel = new Map(entries.map((entry, i) => [labels[i], entry]));
+    for (const row of formatColumns(labels, getTerminalColumns(), (label, padded) => {
+      const { name, node } = byLabel.get(label);
+      return formatLsName(name, node, true) + ' '.repeat(padded.length - label.length);
+    })) {
+      stdout.printHtml(row);
+    }
+  }
+
+  function formatLsName(name, node, withIcon = false) {
+    const label = withIcon ? `${getNodeIcon(name, node)} ${name}` : name;
+    const cssClass = getNodeClass(name, node);
+    return cssClass ? `<span class="${cssClass}">${escapeHtml(label)}</span>` : escapeHtml(label);
+  }
+
+  function printLsLine(stdout, name, node, flags) {
+    const isDir = node.type === 'dir';
+    const permissions = formatMode(node);
+    const size = flags.h ? formatHumanSize(getFileSizeBytes(node)) : String(getFileSizeBytes(node));
+    const whenStr = formatDateForLs(new Date(node.mtime));
+
+    const permsCol = permissions.padEnd(10, ' ');
+    const sizeCol = (isDir ? '-' : size).padStart(6, ' ');
+    const ownerCol = node.owner.padEnd(7, ' ');
+    const dateCol = whenStr.padEnd(12, ' ');
+    const prefix = `${permsCol} ${sizeCol} ${ownerCol} ${dateCol} `;
+    stdout.printHtml(escapeHtml(prefix) + formatLsName(name, node, true));
+  }
+
+  // Renders a mode like eza: `d` for directories, `.` for files, then rwx triplets
+  function formatMode(node) {
+    const bits = ['r', 'w', 'x'];
+    let out = node.type === 'dir' ? 'd' : '.';
+    for (let shift = 8; shift >= 0; shift--) {
+      out += node.mode & (1 << shift) ? bits[(8 - shift) % 3] : '-';
+    }
+    return out;
+  }
+
+  function isExecutable(node) {
+    return node.type === 'file' && (node.mode & 0o111) !== 0;
+  }
+
+  function getFileSizeBytes(node) {
+    if (typeof node.content === 'string') return new TextEncoder().encode(node.content).length;
+    return 0;
+  }
+
+  function formatHumanSize(bytes) {
+    if (bytes < 1024) return `${bytes}B`;
+    const kb = bytes / 1024;
+    if (kb < 10) return `${kb.toFixed(1)}k`;
+    if (kb < 1024) return `${Math.round(kb)}k`;
+    const mb = kb / 1024;
+    if (mb < 10) return `${mb.toFixed(1)}m`;
+    if (mb < 1024) return `${Math.round(mb)}m`;
+    const gb = mb / 1024;
+    return gb < 10 ? `${gb.toFixed(1)}g` : `${Math.round(gb)}g`;
+  }
+
+  // Like ls, dates older than six months show the year instead of the time
+  function formatDateForLs(date) {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const day = date.getDate();
+    const mon = months[date.getMonth()];
+    const sixMonths = 182 * 24 * 60 * 60 * 1000;
+    if (Math.abs(Date.now() - date.getTime()) > sixMonths) return `${day} ${mon}  ${date.getFullYear()}`;
+    const hh = String(date.getHours()).padStart(2, '0');
+    const mm = String(date.getMinutes()).padStart(2, '0');
+    return `${day} ${mon} ${hh}:${mm}`;
+  }
+
+  // File types by extension; the icon and color of each type are used by ls
+  const fileTypes = {
+    html: { icon: '', cssClass: 'warn' },
+    image: { icon: '', cssClass: 'warn' },
+    js: { icon: '', cssClass: 'warn' },
+    css: { icon: '', cssClass: 'info' },
+    text: { icon: '', cssClass: '' },
+    yaml: { icon: '', cssClass: 'cyan' },
+    markdown: { icon: '', cssClass: '' },
+    shell: { icon: '', cssClass: 'ok' },
+    json: { icon: '', cssClass: 'cyan' },
+    file: { icon: '', cssClass: '' },
+  };
+
+  function getFileType(name) {
+    const lower = name.toLowerCase();
+    if (lower.endsWith('.html') || lower.endsWith('.htm')) return 'html';
+    if (lower.endsWith('.jpg') || lower.endsWith('.jpeg') || lower.endsWith('.png') || lower.endsWith('.gif')) return 'image';
+    if (lower.endsWith('.js')) return 'js';
+    if (lower.endsWith('.css')) return 'css';
+    if (lower.endsWith('.txt')) return 'text';
+    if (lower.endsWith('.yaml') || lower.endsWith('.yml')) return 'yaml';
+    if (lower.endsWith('.json')) return 'json';
+    if (lower.endsWith('.md') || lower.endsWith('.markdown')) return 'markdown';
+    if (lower.endsWith('.sh') || lower.endsWith('.bash') || /^\.\w*shrc$/.test(basename(lower))) return 'shell';
+    return 'file';
+  }
+
+  function getFileIcon(name) {
+    return fileTypes[getFileType(name)].icon;
+  }
+
+  function getNodeIcon(name, node) {
+    return node.type === 'dir' ? '' : getFileIcon(name);
+  }
+
+  function getNodeClass(name, node) {
+    if (node.type === 'dir') return 'info';
+    if (isExecutable(node)) return 'ok';
+    return fileTypes[getFileType(name)].cssClass;
+  }
+
+  registerCommand('stat', (args, { stdout, stderr }) => {
+    let status = 0;
+    for (const path of args) {
+      const node = getNode(resolvePath(path));
+      if (!node) {
+        stderr.print(`stat: cannot statx '${path}': No such file or directory`);
+        status = 1;
+        continue;
+      }
+      const kind = node.type === 'dir' ? 'directory' : getFileSizeBytes(node) ? 'regular file' : 'regular empty file';
+      const octal = node.mode.toString(8).padStart(4, '0');
+      const perms = (node.type === 'dir' ? 'd' : '-') + formatMode(node).slice(1);
+      stdout.print(`  File: ${path}`);
+      stdout.print(`  Size: ${String(getFileSizeBytes(node)).padEnd(10, ' ')} Type: ${kind}`);
+      stdout.print(`Access: (${octal}/${perms})  Owner: ${node.owner}`);
+      stdout.print(`Modify: ${new Date(node.mtime).toISOString().slice(0, 19).replace('T', ' ')} UTC`);
+    }
+    return status;
+  }, 'Show file metadata', {
+    operands: [{ name: 'path', required: true, variadic: true }],
+    examples: ['stat about.txt'],
+  });
+
+  registerCommand('cat', (args, ctx) => {
+    const { stdin, stdout, opts } = ctx;
+    if (!args.length && stdin === null) throw usageError('missing file operand');
+    // Each input ends its own line, since the built-in files are stored without a final newline
+    const { inputs, failed } = readInputs('cat', args, ctx);
+    const texts = inputs.filter(({ text }) => text).map(({ text }) => text.replace(/\n$/, ''));
+    const body = texts.join('\n');
+    if (texts.length) {
+      if (opts.n) {
+        body.split('\n').forEach((line, index) => stdout.print(`${String(index + 1).padStart(6, ' ')}\t${line}`));
+      } else {
+        stdout.print(body);
+      }
+    }
+    return failed ? 1 : 0;
+  }, 'Concatenate and print files', {
+    examples: ['cat about.txt', 'cat -n /etc/os-release', 'cat about.txt contact.yaml', 'echo hello | cat'],
+    featured: true,
+    options: [{ short: 'n', long: 'number', description: 'Number all output lines' }],
+    operands: [{ name: 'file', variadic: true }],
+  });
+
+  // Syntax highlighting: each file type has regex rules tried in order at every position of a line.
+  // Colors reuse the terminal's CSS classes so themes apply to highlighted output too.
+  const highlightRules = {
+    json: [
+      { re: /"(?:[^"\\]|\\.)*"(?=\s*:)/y, cssClass: 'cyan' },
+      { re: /"(?:[^"\\]|\\.)*"/y, cssClass: 'ok' },
+      { re: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y, cssClass: 'warn' },
+      { re: /\b(?:true|false|null)\b/y, cssClass: 'info' },
+      { re: /[{}[\],:]/y, cssClass: 'dim' },
+    ],
+    yaml: [
+      { re: /#.*/y, cssClass: 'dim' },
+      { re: /^(\s*)(- )?[^\s:#][^:#]*?(?=:(\s|$))/y, cssClass: 'cyan' },
+      { re: /"(?:[^"\\]|\\.)*"|'[^']*'/y, cssClass: 'ok' },
+      { re: /\b(?:true|false|null|yes|no)\b|~/y, cssClass: 'info' },
+      { re: /-?\b\d+(?:\.\d+)?\b/y, cssClass: 'warn' },
+      { re: /^\s*- |^---$/y, cssClass: 'dim' },
+      { re: /[:[\]{},]/y, cssClass: 'dim' },
+    ],
+    markdown: [
+      { re: /^#{1,6} .*/y, cssClass: 'info' },
+      { re: /^\s*(?:[-*+]|\d+\.) /y, cssClass: 'warn' },
+      { re: /`[^`]*`/y, cssClass: 'ok' },
+      { re: /\*\*[^*]+\*\*|__[^_]+__|\*[^*]+\*/y, cssClass: 'warn' },
+      { re: /\[[^\]]*\]\([^)]*\)/y, cssClass: 'cyan' },
+      { re: /^>.*/y, cssClass: 'dim' },
+    ],
+    shell: [
+      { re: /#.*/y, cssClass: 'dim' },
+      { re: /'[^']*'|"(?:[^"\\]|\\.)*"/y, cssClass: 'ok' },
+      { re: /\$\{[^}]*\}|\$[A-Za-z_?@#0-9][A-Za-z0-9_]*/y, cssClass: 'warn' },
+      { re: /\b(?:if|then|else|elif|fi|for|in|do|done|while|until|case|esac|function|return|exit|export|alias|unset|local)\b/y, cssClass: 'info' },
+      { re: /&&|\|\||[|;<>]/y, cssClass: 'cyan' },
+    ],
+  };
+
+  function highlightLine(type, line) {
+    const rules = highlightRules[type];
+    if (!rules) return escapeHtml(line);
+    let html = '';
+    let plain = '';
+    let pos = 0;
+    while (pos < line.length) {
+      let matched = null;
+      for (const rule of rules) {
+        // `^` rules only apply at the start of the line
+        if (rule.re.source.startsWith('^') && pos !== 0) continue;
+        rule.re.lastIndex = pos;
+        const m = rule.re.exec(line);
+        if (m && m[0]) { matched = { text: m[0], cssClass: rule.cssClass }; break; }
+      }
+      if (!matched) {
+        plain += line[pos++];
+        continue;
+      }
+      html += escapeHtml(plain) + `<span class="${matched.cssClass}">${escapeHtml(matched.text)}</span>`;
+      plain = '';
+      pos += matched.text.length;
+    }
+    return html + escapeHtml(plain);
+  }
+
+  registerCommand('bat', (args, ctx) => {
+    const { stdout, opts } = ctx;
+    const { inputs, failed } = readInputs('bat', args, ctx);
+    const plain = opts.p || !stdout.isTTY;
+    const width = Math.min(getTerminalColumns(), 100);
+    for (const { name, text } of inputs) {
+      const type = name ? getFileType(name) : opts.l || 'file';
+      const lines = splitLines(text);
+      if (!plain) {
+        stdout.print(`${'─'.repeat(7)}┬${'─'.repeat(Math.max(0, width - 8))}`, 'dim');
+        stdout.printHtml(`${' '.repeat(7)}<span class="dim">│</span> File: <span class="info">${escapeHtml(name || 'STDIN')}</span>`);
+        stdout.print(`${'─'.repeat(7)}┼${'─'.repeat(Math.max(0, width - 8))}`, 'dim');
+      }
+      lines.forEach((line, index) => {
+        const gutter = plain ? '' : `<span class="dim">${String(index + 1).padStart(6, ' ')} │</span> `;
+        stdout.printHtml(gutter + highlightLine(type, line));
+      });
+      if (!plain) stdout.print(`${'─'.repeat(7)}┴${'─'.repeat(Math.max(0, width - 8))}`, 'dim');
+    }
+    return failed ? 1 : 0;
+  }, 'Print files with syntax highlighting', {
+    examples: ['bat projects.json', 'cat contact.yaml | bat -l yaml'],
+    options: [
+      { short: 'p', long: 'plain', description: 'Highlight only, without header and line numbers' },
+      { short: 'l', long: 'language', value: 'language', description: 'Language for stdin: json, yaml, markdown or shell' },
+    ],
+    operands: [{ name: 'file', variadic: true }],
+  });
+
+  // Structured data: a YAML subset parser (block mappings and sequences, flow collections,
+  // quoted and plain scalars, | and > block strings) and a jq-style query command over it
+  function parseYaml(text) {
+    const lines = [];
+    text.split('\n').forEach((raw, index) => {
+      const content = stripYamlComment(raw);
+      if (!content.trim() || content.trim() === '---') return;
+      lines.push({ indent: content.search(/\S/), text: content.trim(), raw, lineNo: index + 1 });
+    });
+    let i = 0;
+    const fail = (line, message) => new Error(`yaml: line ${line.lineNo}: ${message}`);
+    const isSeqItem = (t) => t === '-' || t.startsWith('- ');
+
+    function parseNode(indent) {
+      const line = lines[i];
+      if (!line || line.indent < indent) return null;
+      return isSeqItem(line.text) ? parseSeq(line.indent) : parseMap(line.indent);
+    }
+
+    function parseSeq(indent) {
+      const out = [];
+      while (i < lines.length && lines[i].indent === indent && isSeqItem(lines[i].text)) {
+        const rest = lines[i].text.slice(1).trim();
+        if (!rest) {
+          i++;
+          out.push(parseNode(indent + 1));
+        } else if (splitYamlEntry(rest)) {
+          // "- key: value" starts a mapping whose keys line up two columns right of the dash
+          lines[i] = { ...lines[i], indent: indent + 2, text: rest };
+          out.push(parseMap(indent + 2));
+        } else {
+          i++;
+          out.push(parseYamlScalar(rest));
+        }
+      }
+      return out;
+    }
+
+    function parseMap(indent) {
+      const out = {};
+      while (i < lines.length && lines[i].indent === indent) {
+        const line = lines[i];
+        const entry = splitYamlEntry(line.text);
+        if (!entry) throw fail(line, 'expected a "key: value" mapping entry');
+        i++;
+        const { key, value } = entry;
+        if (value === '|' || value === '>') {
+          out[key] = parseBlockScalar(indent, value);
+        } else if (value !== '') {
+          out[key] = parseYamlScalar(value);
+        } else if (lines[i] && (lines[i].indent > indent || (lines[i].indent === indent && isSeqItem(lines[i].text)))) {
+          out[key] = parseNode(lines[i].indent);
+        } else {
+          out[key] = null;
+        }
+      }
+      return out;
+    }
+
+    function parseBlockScalar(indent, style) {
+      const body = [];
+      while (i < lines.length && lines[i].indent > indent) body.push(lines[i++].raw);
+      const minIndent = Math.min(...body.map(l => l.search(/\S/)));
+      const stripped = body.map(l => l.slice(minIndent));
+      return style === '|' ? `${stripped.join('\n')}\n` : `${stripped.join(' ')}\n`;
+    }
+
+    if (!lines.length) return null;
+    if (lines[0].indent === 0 && !isSeqItem(lines[0].text) && !splitYamlEntry(lines[0].text)) {
+      if (lines.length > 1) throw fail(lines[1], 'unexpected content after a scalar document');
+      return parseYamlScalar(lines[0].text);
+    }
+    const doc = parseNode(lines[0].indent);
+    if (i < lines.length) throw fail(lines[i], 'bad indentation');
+    return doc;
+  }
+
+  function stripYamlComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quote) { if (ch === quote) quote = null; continue; }
+      if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i);
+    }
+    return line;
+  }
+
+  function splitYamlEntry(text) {
+    const match = /^("(?:[^"\\]|\\.)*"|'[^']*'|[^\s"'{[#-][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s+(.*))?$/.exec(text);
+    if (!match) return null;
+    const rawKey = match[1];
+    const key = /^["']/.test(rawKey) ? parseYamlScalar(rawKey) : rawKey;
+    return { key: String(key), value: (match[2] || '').trim() };
+  }
+
+  function parseYamlScalar(text) {
+    if (text.startsWith('[') || text.startsWith('{')) return parseYamlFlow(text);
+    if (text.startsWith('"')) return JSON.parse(text);
+    if (text.startsWith("'")) return text.slice(1, -1).replaceAll("''", "'");
+    if (/^(?:null|~)$/.test(text)) return null;
+    if (/^(?:true|yes)$/i.test(text)) return true;
+    if (/^(?:false|no)$/i.test(text)) return false;
+    if (/^[-+]?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?$/.test(text)) return Number(text);
+    return text;
+  }
+
+  // Recursive descent over flow collections like [a, "b", {c: 1}]
+  function parseYamlFlow(text) {
+    let pos = 0;
+    const skip = () => { while (/\s/.test(text[pos] || '')) pos++; };
+    const value = () => {
+      skip();
+      if (text[pos] === '[') {
+        pos++;
+        const out = [];
+        skip();
+        while (text[pos] !== ']') {
+          out.push(value());
+          skip();
+          if (text[pos] === ',') pos++;
+          else if (text[pos] !== ']') throw new Error(`yaml: expected , or ] in ${text}`);
+          skip();
+        }
+        pos++;
+        return out;
+      }
+      if (text[pos] === '{') {
+        pos++;
+        const out = {};
+        skip();
+        while (text[pos] !== '}') {
+          const key = scalar(':');
+          if (text[pos] !== ':') throw new Error(`yaml: expected : in ${text}`);
+          pos++;
+          out[String(key)] = value();
+          skip();
+          if (text[pos] === ',') pos++;
+          else if (text[pos] !== '}') throw new Error(`yaml: expected , or } in ${text}`);
+          skip();
+        }
+        pos++;
+        return out;
+      }
+      return scalar('');
+    };
+    const scalar = (extraStop) => {
+      skip();
+      const start = pos;
+      if (text[pos] === '"' || text[pos] === "'") {
+        const quote = text[pos++];
+        while (pos < text.length && text[pos] !== quote) pos += text[pos] === '\\' && quote === '"' ? 2 : 1;
+        pos++;
+      } else {
+        while (pos < text.length && !`,]}${extraStop}`.includes(text[pos])) pos++;
+      }
+      return parseYamlScalar(text.slice(start, pos).trim());
+    };
+    const result = value();
+    skip();
+    if (pos < text.length) throw new Error(`yaml: unexpected ${text.slice(pos)}`);
+    return result;
+  }
+
+  // jq filters: `|`-separated stages, each a path like .a.b[0], .["key"], .[] or .[1:3] (a trailing
+  // ? suppresses errors), or one of the builtins keys, values, length and type
+  function compileJqFilter(source) {
+    const stages = splitJqStages(source).map(compileJqStage);
+    return (input) => stages.reduce((values, stage) => values.flatMap(stage), [input]);
+  }
+
+  function splitJqStages(source) {
+    const stages = [];
+    let depth = 0;
+    let quote = false;
+    let start = 0;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quote) { if (ch === '\\') i++; else if (ch === '"') quote = false; continue; }
+      if (ch === '"') quote = true;
+      else if (ch === '[') depth++;
+      else if (ch === ']') depth--;
+      else if (ch === '|' && depth === 0) { stages.push(source.slice(start, i)); start = i + 1; }
+    }
+    stages.push(source.slice(start));
+    return stages.map(stage => stage.trim());
+  }
+
+  const jqTypeName = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+  const jqBuiltins = {
+    keys: (v) => {
+      if (Array.isArray(v)) return [v.map((_, i) => i)];
+      if (v && typeof v === 'object') return [Object.keys(v).sort()];
+      throw new Error(`${jqTypeName(v)} has no keys`);
+    },
+    values: (v) => [v && typeof v === 'object' ? Object.values(v) : v],
+    length: (v) => {
+      if (v === null) return [0];
+      if (typeof v === 'string' || Array.isArray(v)) return [v.length];
+      if (typeof v === 'object') return [Object.keys(v).length];
+      if (typeof v === 'number') return [Math.abs(v)];
+      throw new Error(`${jqTypeName(v)} has no length`);
+    },
+    type: (v) => [jqTypeName(v)],
+  };
+
+  function compileJqStage(stage) {
+    if (jqBuiltins[stage]) return jqBuiltins[stage];
+    if (!stage.startsWith('.')) throw new Error(`syntax error: unknown filter '${stage}'`);
+    const steps = [];
+    let pos = 1;
+    while (pos < stage.length) {
+      let step;
+      if (stage[pos] === '[') {
+        const end = stage.indexOf(']', pos);
+        if (end === -1) throw new Error(`syntax error: unterminated [ in '${stage}'`);
+        step = compileJqBracket(stage.slice(pos + 1, end).trim());
+        pos = end + 1;
+      } else {
+        if (stage[pos] === '.') pos++;
+        const match = /^"((?:[^"\\]|\\.)*)"|^[A-Za-z_][A-Za-z0-9_-]*/.exec(stage.slice(pos));
+        if (!match) throw new Error(`syntax error: unexpected '${stage.slice(pos)}'`);
+        const key = match[1] !== undefined ? JSON.parse(`"${match[1]}"`) : match[0];
+        step = jqIndex(key);
+        pos += match[0].length;
+      }
+      if (stage[pos] === '?') {
+        const strict = step;
+        step = (v) => { try { return strict(v); } catch { return []; } };
+        pos++;
+      }
+      steps.push(step);
+    }
+    return (input) => steps.reduce((values, step) => values.flatMap(step), [input]);
+  }
+
+  function jqIndex(key) {
+    return (v) => {
+      if (v === null) return [null];
+      if (typeof key === 'number') {
+        if (!Array.isArray(v)) throw new Error(`Cannot index ${jqTypeName(v)} with number`);
+        const value = v[key < 0 ? v.length + key : key];
+        return [value === undefined ? null : value];
+      }
+      if (typeof v !== 'object' || Array.isArray(v)) throw new Error(`Cannot index ${jqTypeName(v)} with "${key}"`);
+      return [key in v ? v[key] : null];
+    };
+  }
+
+  function compileJqBracket(inner) {
+    if (inner === '') {
+      return (v) => {
+        if (Array.isArray(v)) return v;
+        if (v && typeof v === 'object') return Object.values(v);
+        throw new Error(`Cannot iterate over ${jqTypeName(v)}`);
+      };
+    }
+    if (/^-?\d+$/.test(inner)) return jqIndex(Number(inner));
+    if (/^"(?:[^"\\]|\\.)*"$/.test(inner)) return jqIndex(JSON.parse(inner));
+    const slice = /^(-?\d*)\s*:\s*(-?\d*)$/.exec(inner);
+    if (slice) {
+      return (v) => {
+        if (v === null) return [null];
+        if (!Array.isArray(v) && typeof v !== 'string') throw new Error(`Cannot slice ${jqTypeName(v)}`);
+        return [v.slice(slice[1] === '' ? 0 : Number(slice[1]), slice[2] === '' ? undefined : Number(slice[2]))];
+      };
+    }
+    throw new Error(`syntax error: unsupported index [${inner}]`);
+  }
+
+  function parseStructured(name, text) {
+    const type = name ? getFileType(name) : null;
+    if (type === 'yaml') return parseYaml(text);
+    if (type === 'json') return JSON.parse(text);
+    try {
+      return JSON.parse(text);
+    } catch {
+      return parseYaml(text);
+    }
+  }
+
+  registerCommand('jq', (args, ctx) => {
+    const [source, ...files] = args;
+    const { stdout, stderr, opts } = ctx;
+    let filter;
+    try {
+      filter = compileJqFilter(source);
+    } catch (err) {
+      stderr.print(`jq: error: ${err.message}`);
+      return 3;
+    }
+    const { inputs, failed } = readInputs('jq', files, ctx);
+    for (const { name, text } of inputs) {
+      let results;
+      try {
+        results = filter(parseStructured(name, text));
+      } catch (err) {
+        stderr.print(`jq: error (at ${name || '<stdin>'}): ${err.message}`);
+        return 5;
+      }
+      for (const value of results) {
+        if (opts.r && typeof value === 'string') {
+          stdout.print(value);
+          continue;
+        }
+        const json = JSON.stringify(value === undefined ? null : value, null, opts.c ? 0 : 2);
+        for (const line of json.split('\n')) stdout.printHtml(highlightLine('json', line));
+      }
+    }
+    return failed ? 2 : 0;
+  }, 'Query JSON and YAML files', {
+    examples: ["jq '.featured[0]' projects.json", "jq -r .email contact.yaml"],
+    options: [
+      { short: 'r', long: 'raw-output', description: 'Print strings without quotes' },
+      { short: 'c', long: 'compact-output', description: 'Print each result on one line' },
+    ],
+    operands: [{ name: 'filter', required: true }, { name: 'file', variadic: true }],
+    complete: ({ args, current }) => (args.some(a => !a.startsWith('-')) ? completePaths(current) : []),
+  });
+
+  registerCommand('pwd', (args, { stdout }) => {
+    stdout.print(cwd);
+  }, 'Print working directory');
+
+  registerCommand('cd', (args, { stdout, stderr }) => {
+    let target = args[0] || HOME;
+    if (target === '-') {
+      target = getVar('OLDPWD');
+      if (!target) {
+        stderr.print('cd: OLDPWD not set');
+        return 1;
+      }
+      stdout.print(displayPath(target));
+    }
+    try {
+      changeDirectory(target);
+    } catch (err) {
+      stderr.print(`cd: ${err.message}`);
+      return 1;
+    }
+  }, 'Change directory', {
+    usage: '[dir | -]',
+    examples: ['cd projects', 'cd -', 'cd'],
+    featured: true,
+    operands: [{ name: 'dir' }],
+    complete: completeDirs,
+  });
+
+  registerCommand('mkdir', (args, { stderr, opts }) => {
+    let status = 0;
+    for (const path of args) {
+      try {
+        makeDir(path, { parents: Boolean(opts.p) });
+      } catch (err) {
+        stderr.print(`mkdir: cannot create directory ${err.message}`);
+        status = 1;
+      }
+    }
+    return status;
+  }, 'Create directories', {
+    examples: ['mkdir -p notes/2025'],
+    options: [{ short: 'p', long: 'parents', description: 'Create missing parent directories' }],
+    operands: [{ name: 'dir', required: true, variadic: true }],
+    complete: completeDirs,
+  });
+
+  registerCommand('touch', (args, { stderr }) => {
+    let status = 0;
+    for (const path of args) {
+      try {
+        touchPath(path);
+      } catch (err) {
+        stderr.print(`touch: cannot touch ${err.message}`);
+        status = 1;
+      }
+    }
+    return status;
+  }, 'Create empty files or update modification times', {
+    examples: ['touch notes.txt'],
+    operands: [{ name: 'file', required: true, variadic: true }],
+  });
+
+  registerCommand('rm', (args, { stderr, opts }) => {
+    const recursive = Boolean(opts.r || opts.R);
+    const force = Boolean(opts.f);
+    if (!args.length && !force) throw usageError('missing operand');
+    let status = 0;
+    for (const path of args) {
+      try {
+        removePath(path, { recursive });
+      } catch (err) {
+        if (force && err.message.endsWith('No such file or directory')) continue;
+        stderr.print(`rm: cannot remove ${err.message}`);
+        status = 1;
+      }
+    }
+    return status;
+  }, 'Remove files or directories', {
+    examples: ['rm notes.txt', 'rm -r notes'],
+    options: [
+      { short: 'r', long: 'recursive', description: 'Remove directories and their contents' },
+      { short: 'R', description: 'Same as -r' },
+      { short: 'f', long: 'force', description: 'Ignore missing files' },
+    ],
+    operands: [{ name: 'path', variadic: true }],
+  });
+
+  registerCommand('cp', (args, { stderr, opts }) => {
+    const recursive = Boolean(opts.r || opts.R);
+    const paths = args.slice();
+    const dest = paths.pop();
+    let status = 0;
+    for (const src of paths) {
+      try {
+        copyPath(src, dest, { recursive });
+      } catch (err) {
+        stderr.print(`cp: ${err.message}`);
+        status = 1;
+      }
+    }
+    return status;
+  }, 'Copy files or directories', {
+    examples: ['cp about.txt /tmp', 'cp -r projects /tmp/backup'],
+    options: [
+      { short: 'r', long: 'recursive', description: 'Copy directories recursively' },
+      { short: 'R', description: 'Same as -r' },
+    ],
+    operands: [{ name: 'source', required: true, variadic: true }, { name: 'dest', required: true }],
+  });
+
+  registerCommand('mv', (args, { stderr }) => {
+    const paths = args.slice();
+    const dest = paths.pop();
+    let status = 0;
+    for (const src of paths) {
+      try {
+        movePath(src, dest);
+      } catch (err) {
+        stderr.print(`mv: ${err.message}`);
+        status = 1;
+      }
+    }
+    return status;
+  }, 'Move or rename files', {
+    examples: ['mv notes.txt notes.md'],
+    operands: [{ name: 'source', required: true, variadic: true }, { name: 'dest', required: true }],
+  });
+
+  // Text utilities: each reads its file arguments, or piped stdin when none are given
+  function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  // Returns [{ name, text }] for each readable input, reporting unreadable files on stderr.
+  // `-` and an empty file list both read stdin.
+  function readInputs(name, files, { stdin, stderr }) {
+    if (!files.length) return { inputs: [{ name: null, text: stdin || '' }], failed: false };
+    const inputs = [];
+    let failed = false;
+    for (const file of files) {
+      if (file === '-') {
+        inputs.push({ name: '(standard input)', text: stdin || '' });
+        continue;
+      }
+      try {
+        inputs.push({ name: file, text: readFile(file) });
+      } catch (err) {
+        stderr.print(`${name}: ${err.message}`);
+        failed = true;
+      }
+    }
+    return { inputs, failed };
+  }
+
+  function parseCount(name, value, stderr) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+      stderr.print(`${name}: invalid number of lines: '${value}'`);
+      return null;
+    }
+    return count;
+  }
+
+  registerCommand('echo', (args, { stdout }) => {
+    stdout.print(args.join(' '));
+  }, 'Print arguments', {
+    usage: '[text...]',
+    examples: ['echo $HOME', 'echo hello > note.txt'],
+    // Like bash, echo prints --help instead of treating it as a request for usage
+    literalArgs: true,
+    complete: () => [],
+  });
+
+  registerCommand('grep', (args, ctx) => {
+    const [pattern, ...files] = args;
+    const { opts } = ctx;
+    let regex;
+    try {
+      regex = new RegExp(pattern, opts.i ? 'gi' : 'g');
+    } catch (err) {
+      ctx.stderr.print(`grep: invalid regular expression: ${pattern}`);
+      return 2;
+    }
+    const { inputs, failed } = readInputs('grep', files, ctx);
+    const showName = files.length > 1;
+    let matched = false;
+    for (const { name, text } of inputs) {
+      splitLines(text).forEach((line, index) => {
+        regex.lastIndex = 0;
+        if (regex.test(line) === Boolean(opts.v)) return;
+        matched = true;
+        let html = '';
+        if (showName) html += `<span class="cyan">${escapeHtml(name)}</span>:`;
+        if (opts.n) html += `<span class="ok">${index + 1}</span>:`;
+        html += opts.v ? escapeHtml(line) : highlightMatches(line, regex);
+        ctx.stdout.printHtml(html);
+      });
+    }
+    if (failed) return 2;
+    return matched ? 0 : 1;
+  }, 'Search for a pattern', {
+    examples: ['grep -n Rust about.txt', 'ls | grep json'],
+    options: [
+      { short: 'i', long: 'ignore-case', description: 'Match case-insensitively' },
+      { short: 'n', long: 'line-number', description: 'Prefix lines with their line number' },
+      { short: 'v', long: 'invert-match', description: 'Select non-matching lines' },
+    ],
+    operands: [{ name: 'pattern', required: true }, { name: 'file', variadic: true }],
+    complete: ({ args, current }) => (args.some(a => !a.startsWith('-')) ? completePaths(current) : []),
+  });
+
+  function highlightMatches(line, regex) {
+    let html = '';
+    let last = 0;
+    regex.lastIndex = 0;
+    for (const match of line.matchAll(regex)) {
+      if (!match[0]) continue;
+      html += escapeHtml(line.slice(last, match.index));
+      html += `<span class="err">${escapeHtml(match[0])}</span>`;
+      last = match.index + match[0].length;
+    }
+    return html + escapeHtml(line.slice(last));
+  }
+
+  function registerLineSlicer(name, description, pick) {
+    registerCommand(name, (args, ctx) => {
+      const count = parseCount(name, ctx.opts.n ?? 10, ctx.stderr);
+      if (count === null) return 1;
+      const { inputs, failed } = readInputs(name, args, ctx);
+      inputs.forEach(({ name: file, text }, index) => {
+        if (inputs.length > 1) {
+          if (index > 0) ctx.stdout.print('');
+          ctx.stdout.print(`==> ${file} <==`, 'dim');
+        }
+        for (const line of pick(splitLines(text), count)) ctx.stdout.print(line);
+      });
+      return failed ? 1 : 0;
+    }, description, {
+      options: [{ short: 'n', long: 'lines', value: 'count', digits: true, description: 'Number of lines to print (default 10)' }],
+      operands: [{ name: 'file', variadic: true }],
+      examples: [`${name} -n 3 about.txt`],
+    });
+  }
+
+  registerLineSlicer('head', 'Print the first lines of input', (lines, count) => lines.slice(0, count));
+  registerLineSlicer('tail', 'Print the last lines of input', (lines, count) => (count ? lines.slice(-count) : []));
+
+  registerCommand('wc', (args, ctx) => {
+    const selected = ['l', 'w', 'c'].filter(f => ctx.opts[f]);
+    const columns = selected.length ? selected : ['l', 'w', 'c'];
+    const { inputs, failed } = readInputs('wc', args, ctx);
+    const totals = { l: 0, w: 0, c: 0 };
+    const rows = inputs.map(({ name, text }) => {
+      const counts = {
+        l: (text.match(/\n/g) || []).length,
+        w: text.split(/\s+/).filter(Boolean).length,
+        c: new TextEncoder().encode(text).length,
+      };
+      for (const col of columns) totals[col] += counts[col];
+      return { name, counts };
+    });
+    if (rows.length > 1) rows.push({ name: 'total', counts: totals });
+    const width = Math.max(...rows.flatMap(r => columns.map(col => String(r.counts[col]).length)));
+    for (const { name, counts } of rows) {
+      const cells = columns.map(col => String(counts[col]).padStart(width, ' '));
+      ctx.stdout.print((name ? [...cells, name] : cells).join(' '));
+    }
+    return failed ? 1 : 0;
+  }, 'Count lines, words and bytes', {
+    examples: ['wc -l about.txt'],
+    options: [
+      { short: 'l', long: 'lines', description: 'Print the line count' },
+      { short: 'w', long: 'words', description: 'Print the word count' },
+      { short: 'c', long: 'bytes', description: 'Print the byte count' },
+    ],
+    operands: [{ name: 'file', variadic: true }],
+  });
+
+  registerCommand('sort', (args, ctx) => {
+    const { opts } = ctx;
+    const { inputs, failed } = readInputs('sort', args, ctx);
+    const lines = inputs.flatMap(({ text }) => splitLines(text));
+    const compare = opts.n
+      ? (a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0) || a.localeCompare(b)
+      : (a, b) => a.localeCompare(b);
+    lines.sort(compare);
+    if (opts.r) lines.reverse();
+    for (const line of lines) ctx.stdout.print(line);
+    return failed ? 2 : 0;
+  }, 'Sort lines', {
+    examples: ['ls | sort -r'],
+    options: [
+      { short: 'r', long: 'reverse', description: 'Reverse the result' },
+      { short: 'n', long: 'numeric-sort', description: 'Compare by numeric value' },
+    ],
+    operands: [{ name: 'file', variadic: true }],
+  });
+
+  registerCommand('uniq', (args, ctx) => {
+    const { inputs, failed } = readInputs('uniq', args, ctx);
+    const groups = [];
+    for (const line of inputs.flatMap(({ text }) => splitLines(text))) {
+      const last = groups[groups.length - 1];
+      if (last && last.line === line) last.count++;
+      else groups.push({ line, count: 1 });
+    }
+    for (const { line, count } of groups) {
+      ctx.stdout.print(ctx.opts.c ? `${String(count).padStart(7, ' ')} ${line}` : line);
+    }
+    return failed ? 1 : 0;
+  }, 'Collapse adjacent duplicate lines', {
+    examples: ['history | sort | uniq -c'],
+    options: [{ short: 'c', long: 'count', description: 'Prefix lines with their number of occurrences' }],
+    operands: [{ name: 'file' }],
+  });
+
+  // Environment commands
+  registerCommand('export', (args, { stdout, stderr }) => {
+    if (!args.length) {
+      for (const [name, value] of shellVars) stdout.print(`declare -x ${name}="${value}"`);
+      return 0;
+    }
+    let status = 0;
+    for (const arg of args) {
+      const name = arg.includes('=') ? arg.slice(0, arg.indexOf('=')) : arg;
+      if (!isValidVarName(name)) {
+        stderr.print(`export: \`${arg}': not a valid identifier`);
+        status = 1;
+        continue;
+      }
+      if (arg.includes('=')) assignVar(arg);
+      else if (!shellVars.has(name)) setVar(name, '');
+    }
+    return status;
+  }, 'Set environment variables', {
+    examples: ['export EDITOR=nano'],
+    operands: [{ name: 'name[=value]', variadic: true }],
+    complete: () => Array.from(shellVars.keys()),
+  });
+
+  registerCommand('unset', (args) => {
+    for (const name of args) shellVars.delete(name);
+    updatePrompt();
+  }, 'Remove environment variables', {
+    examples: ['unset EDITOR'],
+    operands: [{ name: 'name', required: true, variadic: true }],
+    complete: () => Array.from(shellVars.keys()),
+  });
+
+  registerCommand('env', (args, { stdout }) => {
+    for (const [name, value] of shellVars) stdout.print(`${name}=${value}`);
+  }, 'Print environment variables', {
+    complete: () => [],
+  });
+
+  registerCommand('alias', (args, { stdout, stderr }) => {
+    const quote = (value) => `'${value.replaceAll("'", "'\\''")}'`;
+    if (!args.length) {
+      for (const [name, value] of aliases) stdout.print(`alias ${name}=${quote(value)}`);
+      return 0;
+    }
+    let status = 0;
+    for (const arg of args) {
+      const eq = arg.indexOf('=');
+      if (eq === -1) {
+        if (aliases.has(arg)) {
+          stdout.print(`alias ${arg}=${quote(aliases.get(arg))}`);
+        } else {
+          stderr.print(`alias: ${arg}: not found`);
+          status = 1;
+        }
+        continue;
+      }
+      const name = arg.slice(0, eq);
+      if (!name || /[\s/'"$`=|;&<>]/.test(name)) {
+        stderr.print(`alias: \`${name}': invalid alias name`);
+        status = 1;
+        continue;
+      }
+      aliases.set(name, arg.slice(eq + 1));
+    }
+    return status;
+  }, 'Define or list aliases', {
+    examples: ["alias ll='ls -la'"],
+    operands: [{ name: 'name[=value]', variadic: true }],
+    complete: () => Array.from(aliases.keys()),
+  });
+
+  registerCommand('unalias', (args, { stderr, opts }) => {
+    if (opts.a) {
+      aliases.clear();
+      return 0;
+    }
+    if (!args.length) throw usageError('missing name operand');
+    let status = 0;
+    for (const name of args) {
+      if (!aliases.delete(name)) {
+        stderr.print(`unalias: ${name}: not found`);
+        status = 1;
+      }
+    }
+    return status;
+  }, 'Remove aliases', {
+    examples: ['unalias ll'],
+    options: [{ short: 'a', description: 'Remove all aliases' }],
+    operands: [{ name: 'name', variadic: true }],
+    complete: () => Array.from(aliases.keys()),
+  });
+
+  registerCommand('sleep', async (args, { stderr, signal }) => {
+    const units = { s: 1, m: 60, h: 3600 };
+    let total = 0;
+    for (const arg of args) {
+      const match = /^(\d+(?:\.\d+)?|\.\d+)([smh]?)$/.exec(arg);
+      if (!match) {
+        stderr.print(`sleep: invalid time interval '${arg}'`);
+        return 1;
+      }
+      total += Number(match[1]) * units[match[2] || 's'];
+    }
+    await sleep(total * 1000, signal);
+  }, 'Wait for a number of seconds', {
+    examples: ['sleep 2 && echo done'],
+    operands: [{ name: 'seconds', required: true, variadic: true }],
+    complete: () => [],
+  });
+
+  // Shell scripts. A script is split into units at newlines and `;`, so `then`, `do` and `else` may
+  // share a line with what precedes or follows them. Everything is parsed before the first command
+  // runs, so a syntax error anywhere stops the script with its line number.
+  const scriptKeywords = ['if', 'then', 'elif', 'else', 'fi', 'for', 'while', 'until', 'do', 'done', 'function', '{', '}'];
+  const scriptInterpreters = ['sh', 'bash', 'adrian-shell'];
+  const shellFunctions = new Map();
+  // Interpreter state of the running script or function: { signal, io, exitStatus }
+  let activeScript = null;
+
+  function scriptError(line, message) {
+    const err = new Error(`line ${line}: ${message}`);
+    err.script = true;
+    return err;
+  }
+
+  function isPlainWord(token) {
+    return Boolean(token) && token.type === 'word' && token.pieces.every(p => p.quote === null);
+  }
+
+  // `name() {`, `name () {` and `function name {` start a function definition
+  function functionHeader(tokens) {
+    const [first, second, third] = tokens;
+    const isName = (value) => /^[A-Za-z_][A-Za-z0-9_-]*$/.test(value);
+    if (!isPlainWord(first)) return null;
+    if (first.value.endsWith('()') && isName(first.value.slice(0, -2))) return { name: first.value.slice(0, -2), length: 1 };
+    if (isPlainWord(second) && second.value === '()' && isName(first.value)) return { name: first.value, length: 2 };
+    if (first.value !== 'function' || !isPlainWord(second)) return null;
+    const name = second.value.endsWith('()') ? second.value.slice(0, -2) : second.value;
+    if (!isName(name)) return null;
+    return { name, length: isPlainWord(third) && third.value === '()' ? 3 : 2 };
+  }
+
+  function splitScript(text) {
+    const units = [];
+    text.split('\n').forEach((source, index) => {
+      const line = index + 1;
+      let tokens;
+      try {
+        tokens = tokenize(source);
+      } catch (err) {
+        throw scriptError(line, err.message);
+      }
+      let segment = [];
+      const segments = [segment];
+      for (const token of tokens) {
+        if (token.type === 'op' && token.value === ';') segments.push(segment = []);
+        else segment.push(token);
+      }
+      for (const tokensOfSegment of segments) addScriptUnits(units, tokensOfSegment, line);
+    });
+    return units;
+  }
+
+  // Peels keywords off the front of a segment; what remains is a command line or the words of a `for`
+  function addScriptUnits(units, tokens, line) {
+    let rest = tokens;
+    while (rest.length) {
+      const header = functionHeader(rest);
+      if (header) {
+        units.push({ keyword: 'function', name: header.name, line });
+        rest = rest.slice(header.length);
+        continue;
+      }
+      const keyword = isPlainWord(rest[0]) && scriptKeywords.includes(rest[0].value) ? rest[0].value : null;
+      if (keyword === 'for') {
+        units.push({ keyword, tokens: rest.slice(1), line });
+        return;
+      }
+      if (keyword === 'fi' || keyword === 'done' || keyword === '}') {
+        if (rest.length > 1) throw scriptError(line, `syntax error near unexpected token \`${rest[1].value}'`);
+        units.push({ keyword, line });
+        return;
+      }
+      if (keyword) {
+        units.push({ keyword, line });
+        rest = rest.slice(1);
+        continue;
+      }
+      try {
+        units.push({ keyword: null, list: parseTokens(rest), line });
+      } catch (err) {
+        throw scriptError(line, err.message);
+      }
+      return;
+    }
+  }
+
+  // Builds the statement tree: command, if, while (and until), for and function nodes
+  function parseScript(text) {
+    const units = splitScript(text);
+    const lastLine = text.split('\n').length;
+    let pos = 0;
+
+    const unexpected = (unit) => (unit
+      ? scriptError(unit.line, `syntax error near unexpected token \`${unit.keyword}'`)
+      : scriptError(lastLine, 'syntax error: unexpected end of file'));
+
+    function expect(keyword) {
+      const unit = units[pos];
+      if (!unit || unit.keyword !== keyword) throw unexpected(unit);
+      pos++;
+    }
+
+    // Statements up to one of `terminators`, which is left for the caller to consume
+    function parseBody(terminators) {
+      const body = [];
+      while (units[pos] && !terminators.includes(units[pos].keyword)) body.push(parseStatement());
+      if (!units[pos]) throw unexpected(null);
+      return body;
+    }
+
+    function parseStatement() {
+      const unit = units[pos++];
+      switch (unit.keyword) {
+        case null:
+          return { type: 'command', list: unit.list };
+        case 'if': {
+          const branches = [];
+          let keyword;
+          do {
+            const condition = parseBody(['then']);
+            expect('then');
+            branches.push({ condition, body: parseBody(['elif', 'else', 'fi']) });
+            keyword = units[pos++].keyword;
+          } while (keyword === 'elif');
+          const elseBody = keyword === 'else' ? parseBody(['fi']) : [];
+          if (keyword === 'else') expect('fi');
+          return { type: 'if', branches, elseBody };
+        }
+        case 'while':
+        case 'until': {
+          const condition = parseBody(['do']);
+          expect('do');
+          const body = parseBody(['done']);
+          expect('done');
+          return { type: 'while', until: unit.keyword === 'until', condition, body };
+        }
+        case 'for': {
+          const [name, inWord, ...words] = unit.tokens;
+          if (!isPlainWord(name) || !isValidVarName(name.value)) {
+            throw scriptError(unit.line, `\`${name ? name.value : 'newline'}': not a valid identifier`);
+          }
+          const stray = [inWord, ...words].find(t => t && t.type !== 'word');
+          if (stray || (inWord && inWord.value !== 'in')) {
+            throw scriptError(unit.line, `syntax error near unexpected token \`${(stray || inWord).value}'`);
+          }
+          expect('do');
+          const body = parseBody(['done']);
+          expect('done');
+          return { type: 'for', name: name.value, words: inWord ? words : null, body };
+        }
+        case 'function': {
+          expect('{');
+          const body = parseBody(['}']);
+          expect('}');
+          return { type: 'function', name: unit.name, body };
+        }
+        default:
+          throw unexpected(unit);
+      }
+    }
+
+    const statements = [];
+    while (pos < units.length) statements.push(parseStatement());
+    return statements;
+  }
+
+  // Runs statements until one calls `exit` or the signal aborts
+  async function runStatements(statements, run) {
+    for (const statement of statements) {
+      if (run.exitStatus !== null || (run.signal && run.signal.aborted)) break;
+      await runStatement(statement, run);
+    }
+    return lastStatus;
+  }
+
+  // Lets the page handle input such as Ctrl+C between loop iterations; false once the loop should stop
+  async function nextIteration(run) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return run.exitStatus === null && !(run.signal && run.signal.aborted);
+  }
+
+  async function runStatement(statement, run) {
+    switch (statement.type) {
+      case 'command':
+        return runList(statement.list, run.signal, run.io);
+      case 'if':
+        for (const { condition, body } of statement.branches) {
+          await runStatements(condition, run);
+          if (run.exitStatus !== null) return lastStatus;
+          if (lastStatus === 0) return runStatements(body, run);
+        }
+        lastStatus = 0;
+        return runStatements(statement.elseBody, run);
+      case 'while': {
+        let status = 0;
+        for (;;) {
+          await runStatements(statement.condition, run);
+          if (run.exitStatus !== null || (run.signal && run.signal.aborted)) break;
+          if ((lastStatus === 0) === statement.until) break;
+          status = await runStatements(statement.body, run);
+          if (!(await nextIteration(run))) break;
+        }
+        if (run.exitStatus === null) lastStatus = status;
+        return lastStatus;
+      }
+      case 'for': {
+        const words = statement.words ? statement.words.flatMap(expandWord) : [...positional.args];
+        lastStatus = 0;
+        for (const word of words) {
+          setVar(statement.name, word);
+          await runStatements(statement.body, run);
+          if (!(await nextIteration(run))) break;
+        }
+        return lastStatus;
+      }
+      case 'function':
+        shellFunctions.set(statement.name, statement.body);
+        lastStatus = 0;
+        return lastStatus;
+      default:
+        throw new Error(`unknown statement ${statement.type}`);
+    }
+  }
+
+  // Functions get their own positional parameters and write to the streams of the stage calling them
+  async function callFunction(body, args, { stdout, stderr, signal }) {
+    const saved = positional;
+    const caller = activeScript;
+    const run = { signal, io: { stdout, stderr }, exitStatus: null };
+    positional = { name: saved.name, args };
+    activeScript = run;
+    try {
+      await runStatements(body, run);
+    } finally {
+      positional = saved;
+      activeScript = caller;
+    }
+    // `exit` inside a function also ends the script that called it
+    if (run.exitStatus !== null && caller) caller.exitStatus = run.exitStatus;
+    return run.exitStatus ?? lastStatus;
+  }
+
+  // Runs a script file for `sh`, `source` and ./script. `isolated` scripts get a copy of the shell's
+  // variables, functions and working directory, like a subshell; sourced ones change the caller's.
+  // `command` prefixes error messages and is null when the script was run by its #! line.
+  async function runScriptFile(path, args, ctx, { command, isolated }) {
+    const prefix = command ? `${command}: ` : '';
+    let text;
+    try {
+      text = readFile(path);
+    } catch (err) {
+      ctx.stderr.print(`${prefix}${err.message}`);
+      return command === 'source' ? 1 : 127;
+    }
+    let statements;
+    try {
+      statements = parseScript(text);
+    } catch (err) {
+      if (!err.script) throw err;
+      ctx.stderr.print(`${prefix}${path}: ${err.message}`);
+      return 2;
+    }
+
+    const saved = { positional, cwd, vars: new Map(shellVars), functions: new Map(shellFunctions) };
+    const caller = activeScript;
+    const run = { signal: ctx.signal, io: { stdout: ctx.stdout, stderr: ctx.stderr }, exitStatus: null };
+    if (isolated) positional = { name: path, args };
+    else if (args.length) positional = { name: positional.name, args };
+    activeScript = run;
+    try {
+      await runStatements(statements, run);
+    } finally {
+      positional = saved.positional;
+      activeScript = caller;
+      if (isolated) {
+        shellVars.clear();
+        saved.vars.forEach((value, name) => shellVars.set(name, value));
+        shellFunctions.clear();
+        saved.functions.forEach((body, name) => shellFunctions.set(name, body));
+        if (getNode(saved.cwd)) cwd = saved.cwd;
+      }
+    }
+    return run.exitStatus ?? lastStatus;
+  }
+
+  // ./script runs through the interpreter named on its #! line; there is no exec bit to check
+  async function runExecutable(path, args, ctx) {
+    const node = getNode(resolvePath(path));
+    if (!node) {
+      ctx.stderr.print(`adrian-shell: ${path}: No such file or directory`);
+      return 127;
+    }
+    if (node.type === 'dir') {
+      ctx.stderr.print(`adrian-shell: ${path}: Is a directory`);
+      return 126;
+    }
+    const shebang = /^#!\s*(\S+)(?:\s+(\S+))?/.exec(node.content);
+    if (!shebang) {
+      ctx.stderr.print(`adrian-shell: ${path}: cannot execute: missing #! line`);
+      return 126;
+    }
+    const interpreter = basename(shebang[1]) === 'env' ? basename(shebang[2] || '') : basename(shebang[1]);
+    if (!scriptInterpreters.includes(interpreter)) {
+      ctx.stderr.print(`adrian-shell: ${path}: ${shebang[1]}: bad interpreter: No such file or directory`);
+      return 126;
+    }
+    return runScriptFile(path, args, ctx, { command: null, isolated: true });
+  }
+
+  // sh, source and exit take their arguments literally, so they check for --help themselves. It only
+  // counts in place of the first operand; after that it belongs to the script.
+  function printLiteralHelp(name, first, { stdout }) {
+    if (first !== '--help') return false;
+    printCommandHelp(name, commands.get(name), stdout);
+    return true;
+  }
+
+  registerCommand('sh', ([path, ...args], ctx) => {
+    if (printLiteralHelp('sh', path, ctx)) return 0;
+    if (path === undefined) throw usageError('missing file operand');
+    return runScriptFile(path, args, ctx, { command: 'sh', isolated: true });
+  }, 'Run a shell script in a subshell', {
+    examples: ['sh ~/hello.sh world', 'echo \'echo "hi $1"\' > hi.sh && sh hi.sh there'],
+    operands: [{ name: 'file', required: true }, { name: 'arg', variadic: true }],
+    // Arguments after the file belong to the script, so they are not parsed as options
+    literalArgs: true,
+  });
+
+  registerCommand('source', ([path, ...args], ctx) => {
+    if (printLiteralHelp('source', path, ctx)) return 0;
+    if (path === undefined) throw usageError('missing file operand');
+    return runScriptFile(path, args, ctx, { command: 'source', isolated: false });
+  }, 'Run a script in the current shell', {
+    examples: ['source ~/.adrianshrc'],
+    operands: [{ name: 'file', required: true }, { name: 'arg', variadic: true }],
+    literalArgs: true,
+  });
+
+  registerCommand('exit', ([code], ctx) => {
+    const { stderr } = ctx;
+    if (printLiteralHelp('exit', code, ctx)) return 0;
+    const status = code === undefined ? lastStatus : Number(code);
+    if (!Number.isInteger(status)) {
+      stderr.print(`exit: ${code}: numeric argument required`);
+      return 2;
+    }
+    if (!activeScript) {
+      stderr.print('exit: not running a script; close the tab to leave the shell', 'warn');
+      return 1;
+    }
+    activeScript.exitStatus = status & 255;
+    return activeScript.exitStatus;
+  }, 'Stop the running script with a status', {
+    examples: ['exit 1'],
+    operands: [{ name: 'n' }],
+    literalArgs: true,
+    complete: () => [],
+  });
+
+  registerCommand('true', () => 0, 'Do nothing, successfully', { literalArgs: true, complete: () => [] });
+  registerCommand('false', () => 1, 'Do nothing, unsuccessfully', { literalArgs: true, complete: () => [] });
+
+  // test / [: string, integer and file checks. Exits 0 when the expression holds, 1 when it doesn't
+  // and 2 when it can't be evaluated.
+  const testIntegerOps = {
+    '-eq': (a, b) => a === b,
+    '-ne': (a, b) => a !== b,
+    '-lt': (a, b) => a < b,
+    '-le': (a, b) => a <= b,
+    '-gt': (a, b) => a > b,
+    '-ge': (a, b) => a >= b,
+  };
+
+  function evaluateTest(args) {
+    if (args[0] === '!' && args.length > 1) return !evaluateTest(args.slice(1));
+    if (args.length === 0) return false;
+    if (args.length === 1) return args[0] !== '';
+    if (args.length === 2) {
+      const [op, operand] = args;
+      const node = () => getNode(resolvePath(operand));
+      switch (op) {
+        case '-n': return operand !== '';
+        case '-z': return operand === '';
+        case '-e': return Boolean(node());
+        case '-f': return node()?.type === 'file';
+        case '-d': return node()?.type === 'dir';
+        case '-s': return node()?.type === 'file' && node().content.length > 0;
+        default: throw new Error(`${op}: unary operator expected`);
+      }
+    }
+    if (args.length === 3) {
+      const [left, op, right] = args;
+      if (op === '=' || op === '==') return left === right;
+      if (op === '!=') return left !== right;
+      if (!testIntegerOps[op]) throw new Error(`${op}: binary operator expected`);
+      const toInteger = (value) => {
+        if (!/^\s*-?\d+\s*$/.test(value)) throw new Error(`${value}: integer expression expected`);
+        return Number(value);
+      };
+      return testIntegerOps[op](toInteger(left), toInteger(right));
+    }
+    throw new Error('too many arguments');
+  }
+
+  function runTest(name, args, stderr) {
+    try {
+      return evaluateTest(args) ? 0 : 1;
+    } catch (err) {
+      stderr.print(`${name}: ${err.message}`);
+      return 2;
+    }
+  }
+
+  const testMeta = {
+    usage: 'expression',
+    examples: ['test -f notes.txt && cat notes.txt', '[ "$1" = start ] && echo starting', '[ $# -gt 0 ] || echo "no arguments"'],
+    literalArgs: true,
+  };
+
+  registerCommand('test', (args, { stderr }) => runTest('test', args, stderr), 'Check files and compare values', testMeta);
+
+  registerCommand('[', (args, { stderr }) => {
+    if (args[args.length - 1] !== ']') {
+      stderr.print("[: missing `]'");
+      return 2;
+    }
+    return runTest('[', args.slice(0, -1), stderr);
+  }, 'Check files and compare values, like test', { ...testMeta, usage: 'expression ]' });
+
+  registerCommand('history', (args, { stdout, stderr, opts }) => {
+    if (opts.c) {
+      history = [];
+      historyIndex = 0;
+      saveHistory();
+      return 0;
+    }
+    let start = 0;
+    if (args.length) {
+      const count = Number(args[0]);
+      if (!Number.isInteger(count) || count < 0) {
+        stderr.print(`history: ${args[0]}: numeric argument required`);
+        return 1;
+      }
+      start = Math.max(0, history.length - count);
+    }
+    for (let i = start; i < history.length; i++) {
+      stdout.print(`${String(i + 1).padStart(5, ' ')}  ${history[i]}`);
+    }
+  }, 'Show command history', {
+    examples: ['history 10'],
+    options: [{ short: 'c', description: 'Clear the history' }],
+    operands: [{ name: 'count' }],
+    complete: () => [],
+  });
+
+  // Storage commands for the persistent filesystem overlay
+  registerCommand('reset-fs', async (args, { stdout, stderr, opts }) => {
+    if (!opts.f) {
+      stderr.print('reset-fs: this discards every file you created, changed or deleted', 'warn');
+      stderr.print("reset-fs: run 'reset-fs -f' to confirm", 'dim');
+      return 1;
+    }
+    await resetFsOverlay();
+    stdout.print('filesystem reset to the built-in files', 'ok');
+  }, 'Discard all filesystem changes', {
+    examples: ['reset-fs -f'],
+    options: [{ short: 'f', long: 'force', description: 'Confirm the reset' }],
+    complete: () => [],
+  });
+
+  registerCommand('df', async (args, { stdout, opts }) => {
+    await overlayWrites;
+    const records = await readOverlayRecords();
+    const overlayBytes = records.reduce((sum, record) => sum + new TextEncoder().encode(JSON.stringify(record)).length, 0);
+    const baseBytes = getTreeBytes(buildTree(fsSeed));
+    let quota = 0;
+    try {
+      if (navigator.storage && navigator.storage.estimate) quota = (await navigator.storage.estimate()).quota || 0;
+    } catch {}
+    const size = (bytes) => (opts.h ? formatHumanSize(bytes) : String(bytes));
+    const rows = [
+      ['Filesystem', 'Size', 'Used', 'Avail', 'Use%', 'Mounted on'],
+      ['base', size(baseBytes), size(baseBytes), size(0), '100%', '/ (read-only)'],
+      [
+        'indexeddb',
+        quota ? size(quota) : '-',
+        size(overlayBytes),
+        quota ? size(Math.max(0, quota - overlayBytes)) : '-',
+        quota ? `${Math.ceil((overlayBytes / quota) * 100)}%` : '-',
+        `/ (${records.length} changes)`,
+      ],
+    ];
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+    for (const row of rows) {
+      stdout.print(row.map((cell, col) => (col === 0 || col === row.length - 1 ? cell.padEnd(widths[col], ' ') : cell.padStart(widths[col], ' '))).join('  ').trimEnd());
+    }
+  }, 'Show filesystem storage usage', {
+    options: [{ short: 'h', long: 'human-readable', description: 'Print sizes like 1.2k' }],
+    complete: () => [],
+  });
+
+  registerCommand('du', (args, { stdout, stderr, opts }) => {
+    const targets = args.length ? args : ['.'];
+    const size = (bytes) => (opts.h ? formatHumanSize(bytes) : String(bytes));
+    let status = 0;
+    const visit = (label, node) => {
+      let total = node.type === 'file' ? getFileSizeBytes(node) : 0;
+      if (node.type === 'dir') {
+        for (const [name, child] of node.children) {
+          total += visit(label.endsWith('/') ? label + name : `${label}/${name}`, child);
+        }
+      }
+      if (node.type === 'dir' && !opts.s) stdout.print(`${size(total)}\t${label}`);
+      return total;
+    };
+    for (const target of targets) {
+      const node = getNode(resolvePath(target));
+      if (!node) {
+        stderr.print(`du: cannot access '${target}': No such file or directory`);
+        status = 1;
+        continue;
+      }
+      const total = visit(target, node);
+      if (opts.s || node.type === 'file') stdout.print(`${size(total)}\t${target}`);
+    }
+    return status;
+  }, 'Show disk usage in bytes', {
+    examples: ['du -sh ~'],
+    options: [
+      { short: 's', long: 'summarize', description: 'Print only a total for each argument' },
+      { short: 'h', long: 'human-readable', description: 'Print sizes like 1.2k' },
+    ],
+    operands: [{ name: 'path', variadic: true }],
+    complete: completeDirs,
+  });
+
+  // Command documentation. Commands describe themselves with `usage`, `options` and `examples`
+  // metadata; `--help`, `help <cmd>`, `man` and the side help box are all generated from it.
+  // `usage` overrides the synopsis otherwise built from the option and operand specs
+  function formatSynopsis(name, meta) {
+    if (meta.usage) return `${name} ${meta.usage}`;
+    const options = meta.options || [];
+    const parts = [name];
+    const flags = options.filter(o => o.short && !o.value).map(o => o.short).join('');
+    if (flags) parts.push(`[-${flags}]`);
+    for (const option of options) {
+      if (option.value) parts.push(`[${option.short ? `-${option.short}` : `--${option.long}`} ${option.value}]`);
+      else if (!option.short) parts.push(`[--${option.long}]`);
+    }
+    parts.push(...(meta.operands || []).map(formatOperand));
+    return parts.join(' ');
+  }
+
+  function formatOperand(operand) {
+    const label = operand.name + (operand.variadic ? '...' : '');
+    return operand.required ? `<${label}>` : `[${label}]`;
+  }
+
+  function formatOptionLabel(option) {
+    const names = [];
+    if (option.short) names.push(`-${option.short}`);
+    if (option.long) names.push(`--${option.long}`);
+    return names.join(', ') + (option.value ? ` ${option.value}` : '');
+  }
+
+  function printCommandHelp(name, meta, stdout) {
+    stdout.print(`Usage: ${formatSynopsis(name, meta)}`);
+    if (meta.description) stdout.print(meta.description);
+    const options = meta.options || [];
+    if (options.length) {
+      stdout.print('');
+      stdout.print('Options:', 'dim');
+      const width = Math.max(...options.map(o => formatOptionLabel(o).length)) + 2;
+      for (const option of options) {
+        stdout.print(`  ${formatOptionLabel(option).padEnd(width)}${option.description || ''}`);
+      }
+    }
+    if (meta.examples && meta.examples.length) {
+      stdout.print('');
+      stdout.print('Examples:', 'dim');
+      for (const example of meta.examples) stdout.print(`  ${example}`);
+    }
+  }
+
+  // Builds a manual page as HTML lines in the classic NAME/SYNOPSIS/OPTIONS layout
+  function renderManPage(name, meta, width) {
+    const title = `${name.replace(/^\.\//, '').toUpperCase()}(1)`;
+    const middle = 'adrian-shell Manual';
+    const gap = Math.max(2, width - title.length * 2 - middle.length);
+    const header = title + ' '.repeat(Math.floor(gap / 2)) + middle + ' '.repeat(Math.ceil(gap / 2)) + title;
+    const indent = '       ';
+    const lines = [escapeHtml(header), ''];
+    const section = (heading, body) => {
+      lines.push(`<span class="info">${heading}</span>`, ...body.map(line => (line ? indent + line : '')), '');
+    };
+    section('NAME', [escapeHtml(`${name} - ${meta.description || ''}`)]);
+    const synopsis = formatSynopsis(name, meta).slice(name.length);
+    section('SYNOPSIS', [`<span class="cyan">${escapeHtml(name)}</span>${escapeHtml(synopsis)}`]);
+    const options = meta.options || [];
+    if (options.length) {
+      section('OPTIONS', options.flatMap((option, i) => [
+        ...(i ? [''] : []),
+        `<span class="ok">${escapeHtml(formatOptionLabel(option))}</span>`,
+        `       ${escapeHtml(option.description || '')}`,
+      ]));
+    }
+    if (meta.examples && meta.examples.length) {
+      section('EXAMPLES', meta.examples.map(escapeHtml));
+    }
+    section('SEE ALSO', ['help(1)']);
+    return lines;
+  }
+
+  registerCommand('help', (args, { stdout, stderr }) => {
+    if (args.length) {
+      const meta = commands.get(args[0]);
+      if (!meta) {
+        stderr.print(`help: no help topics match '${args[0]}'`);
+        return 1;
+      }
+      printCommandHelp(args[0], meta, stdout);
+      return 0;
+    }
+    stdout.print('Available commands:', 'dim');
+    for (const [name, meta] of commands) {
+      stdout.printHtml(`<span class="cyan">${escapeHtml(name)}</span> - ${escapeHtml(meta.description || '')}`);
+    }
+    stdout.print('Run `man <command>` or `<command> --help` for details.', 'dim');
+  }, 'Show help', {
+    examples: ['help', 'help grep'],
+    operands: [{ name: 'command' }],
+    complete: () => Array.from(commands.keys()),
+  });
+
+  registerCommand('man', (args, { stdout, stderr, signal }) => {
+    const meta = commands.get(args[0]);
+    if (!meta) {
+      stderr.print(`No manual entry for ${args[0]}`);
+      return 16;
+    }
+    const lines = renderManPage(args[0], meta, stdout.isTTY ? Math.min(getTerminalColumns(), 80) : 80);
+    if (!stdout.isTTY || pagerState) {
+      for (const line of lines) stdout.printHtml(line);
+      return 0;
+    }
+    return new Promise((resolve) => {
+      startPager(`Manual page ${args[0]}(1)`, lines, resolve);
+      if (signal) signal.addEventListener('abort', endPager, { once: true });
+    });
+  }, 'Show the manual page for a command', {
+    examples: ['man ls', 'man jq | grep -i raw'],
+    operands: [{ name: 'command', required: true }],
+    featured: true,
+    complete: () => Array.from(commands.keys()),
+  });
+
+  // Minimal less-style pager over pre-rendered HTML lines; q quits
+  let pagerState = null;
+
+  function startPager(title, lines, onExit) {
+    const block = document.createElement('div');
+    block.className = 'term-game';
+    const screen = document.createElement('pre');
+    screen.className = 'game-screen editor-screen';
+    screen.setAttribute('aria-label', title);
+    block.appendChild(screen);
+    outputEl.insertBefore(block, document.getElementById('prompt-line'));
+
+    let top = 0;
+    const pageRows = () => Math.max(3, getTerminalRows() - 3);
+    const maxTop = () => Math.max(0, lines.length - pageRows());
+
+    function render() {
+      const visible = lines.slice(top, top + pageRows());
+      const end = top >= maxTop() ? ' (END)' : '';
+      const status = ` ${title} line ${top + 1}/${lines.length}${end} (press q to quit)`;
+      screen.innerHTML = `${visible.join('\n')}\n<span class="editor-bar">${escapeHtml(status)}</span>`;
+    }
+
+    const onKeyDown = (e) => {
+      if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'q' || e.key === 'Escape' || (e.ctrlKey && e.key === 'c')) {
+        endPager();
+        return;
+      }
+      switch (e.key) {
+        case 'j': case 'ArrowDown': case 'Enter': top++; break;
+        case 'k': case 'ArrowUp': top--; break;
+        case ' ': case 'f': case 'PageDown': top += pageRows(); break;
+        case 'b': case 'PageUp': top -= pageRows(); break;
+        case 'g': case 'Home': top = 0; break;
+        case 'G': case 'End': top = maxTop(); break;
+        default: return;
+      }
+      top = Math.max(0, Math.min(top, maxTop()));
+      render();
+    };
+    document.addEventListener('keydown', onKeyDown, true);
+    pagerState = { block, onKeyDown, onExit };
+    render();
+  }
+
+  function endPager() {
+    if (!pagerState) return;
+    const { block, onKeyDown, onExit } = pagerState;
+    document.removeEventListener('keydown', onKeyDown, true);
+    if (block.parentNode) block.parentNode.removeChild(block);
+    pagerState = null;
+    if (onExit) onExit(0);
+  }
+
+  // Fills the floating help box with the commands marked `featured`
+  function renderHelpBox() {
+    const list = document.querySelector('#help-box .help-list');
+    if (!list) return;
+    list.innerHTML = '';
+    for (const [name, meta] of commands) {
+      if (!meta.featured) continue;
+      const operands = meta.usage
+        ? meta.usage.replace(/\[-[^\]]*\]\s*/g, '').trim()
+        : (meta.operands || []).map(formatOperand).join(' ');
+      const item = document.createElement('li');
+      item.innerHTML = `<span class="cmd">${escapeHtml(name)}${operands ? ` <em>${escapeHtml(operands)}</em>` : ''}</span> `
+        + `<span class="desc">${escapeHtml(meta.description || '')}</span>`;
+      list.appendChild(item);
+    }
+  }
+
+  // Full-screen text editor. nano and edit use nano keys; vi and vim use a modal vi keymap.
+  // Like the games it mounts a block above the prompt and captures the keyboard until it exits.
+  let editorState = null;
+
+  function registerEditor(name, keymap, description) {
+    registerCommand(name, ([path], { stderr, signal, opts }) => {
+      const vi = keymap === 'vi' || opts.vi;
+      if (editorState) {
+        stderr.print(`${name}: an editor is already open`, 'warn');
+        return 1;
+      }
+      const node = getNode(resolvePath(path));
+      if (node && node.type === 'dir') {
+        stderr.print(`${name}: ${path}: Is a directory`);
+        return 1;
+      }
+      return new Promise((resolve) => {
+        startEditor(path, vi ? 'vi' : 'nano', resolve);
+        if (signal) signal.addEventListener('abort', () => endEditor(), { once: true });
+      });
+    }, description, {
+      options: keymap === 'vi' ? [] : [{ long: 'vi', description: 'Use the vi keymap' }],
+      operands: [{ name: 'file', required: true }],
+      examples: [`${name} notes.txt`],
+      featured: name === 'nano',
+      complete: ({ current }) => completePaths(current),
+    });
+  }
+
+  registerEditor('edit', 'nano', 'Edit a file');
+  registerEditor('nano', 'nano', 'Edit a file with nano keys');
+  registerEditor('vi', 'vi', 'Edit a file with vi keys');
+  registerEditor('vim', 'vi', 'Edit a file with vi keys');
+
+  function startEditor(path, keymap, onExit) {
+    const block = document.createElement('div');
+    block.className = 'term-game';
+    const screen = document.createElement('pre');
+    screen.className = 'game-screen editor-screen';
+    screen.setAttribute('aria-label', `Editing ${path}`);
+    block.appendChild(screen);
+    const promptLine = document.getElementById('prompt-line');
+    outputEl.insertBefore(block, promptLine);
+
+    const existing = getNode(resolvePath(path));
+    const original = existing ? existing.content : '';
+    const trailingNewline = original.endsWith('\n');
+    let lines = (trailingNewline ? original.slice(0, -1) : original).split('\n');
+    let row = 0;
+    let col = 0;
+    let top = 0;
+    let left = 0;
+    let dirty = false;
+    let message = existing ? `[ Read ${lines.length} lines ]` : '[ New File ]';
+    let cutBuffer = [];
+    let lastSearch = '';
+    // prompt = { label, value, onSubmit } while the status line is asking for input
+    let prompt = null;
+    let viMode = 'normal';
+    let pendingKey = '';
+
+    const cols = () => getTerminalColumns();
+    const bodyRows = () => Math.max(3, getTerminalRows() - 6);
+
+    function clampCursor() {
+      row = Math.max(0, Math.min(row, lines.length - 1));
+      const maxCol = keymap === 'vi' && viMode === 'normal' ? Math.max(0, lines[row].length - 1) : lines[row].length;
+      col = Math.max(0, Math.min(col, maxCol));
+      if (row < top) top = row;
+      if (row >= top + bodyRows()) top = row - bodyRows() + 1;
+      if (col < left) left = col;
+      if (col >= left + cols() - 1) left = col - cols() + 2;
+    }
+
+    function save(target = path) {
+      try {
+        writeFile(target, lines.join('\n') + (trailingNewline ? '\n' : ''));
+        path = target;
+        dirty = false;
+        message = `[ Wrote ${lines.length} lines ]`;
+        return true;
+      } catch (err) {
+        message = `[ Error writing ${err.message} ]`;
+        return false;
+      }
+    }
+
+    function search(query, from = { row, col: col + 1 }) {
+      if (!query) return;
+      lastSearch = query;
+      for (let i = 0; i <= lines.length; i++) {
+        const r = (from.row + i) % lines.length;
+        const start = i === 0 ? from.col : 0;
+        const at = lines[r].indexOf(query, start);
+        if (at !== -1) {
+          if (i === lines.length) message = '[ This is the only occurrence ]';
+          else if (r < from.row || (r === from.row && i > 0)) message = '[ Search Wrapped ]';
+          row = r;
+          col = at;
+          return;
+        }
+      }
+      message = `[ "${query}" not found ]`;
+    }
+
+    function insertText(text) {
+      const line = lines[row];
+      lines[row] = line.slice(0, col) + text + line.slice(col);
+      col += text.length;
+      dirty = true;
+    }
+
+    function splitLine() {
+      const line = lines[row];
+      lines.splice(row, 1, line.slice(0, col), line.slice(col));
+      row++;
+      col = 0;
+      dirty = true;
+    }
+
+    function backspace() {
+      if (col > 0) {
+        lines[row] = lines[row].slice(0, col - 1) + lines[row].slice(col);
+        col--;
+      } else if (row > 0) {
+        col = lines[row - 1].length;
+        lines[row - 1] += lines[row];
+        lines.splice(row, 1);
+        row--;
+      } else {
+        return;
+      }
+      dirty = true;
+    }
+
+    function deleteForward() {
+      if (col < lines[row].length) {
+        lines[row] = lines[row].slice(0, col) + lines[row].slice(col + 1);
+      } else if (row < lines.length - 1) {
+        lines[row] += lines[row + 1];
+        lines.splice(row + 1, 1);
+      } else {
+        return;
+      }
+      dirty = true;
+    }
+
+    function cutLine() {
+      cutBuffer = lines.splice(row, 1);
+      if (!lines.length) lines = [''];
+      col = 0;
+      dirty = true;
+    }
+
+    function pasteLines(below = false) {
+      if (!cutBuffer.length) return;
+      const at = below ? row + 1 : row;
+      lines.splice(at, 0, ...cutBuffer);
+      row = at;
+      col = 0;
+      dirty = true;
+    }
+
+    // Movement shared by both keymaps; returns true when the key moved the cursor
+    function moveCursor(key) {
+      switch (key) {
+        case 'ArrowLeft': col--; return true;
+        case 'ArrowRight': col++; return true;
+        case 'ArrowUp': row--; return true;
+        case 'ArrowDown': row++; return true;
+        case 'Home': col = 0; return true;
+        case 'End': col = lines[row].length; return true;
+        case 'PageUp': row -= bodyRows(); return true;
+        case 'PageDown': row += bodyRows(); return true;
+        default: return false;
+      }
+    }
+
+    function ask(label, value, onSubmit) {
+      prompt = { label, value, onSubmit };
+    }
+
+    function handlePromptKey(e) {
+      if (e.key === 'Enter') {
+        const { value, onSubmit } = prompt;
+        prompt = null;
+        onSubmit(value);
+      } else if (e.key === 'Escape' || (e.ctrlKey && e.key === 'c')) {
+        prompt = null;
+        message = '[ Cancelled ]';
+      } else if (e.key === 'Backspace') {
+        prompt.value = prompt.value.slice(0, -1);
+      } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+        prompt.value += e.key;
+      }
+    }
+
+    function exitIfSaved() {
+      if (!dirty) { endEditor(); return; }
+      ask('Save modified buffer? (Y/N)', '', (answer) => {
+        const yes = /^y/i.test(answer);
+        const no = /^n/i.test(answer);
+        if (no || (yes && save())) endEditor();
+        else if (!yes) message = '[ Cancelled ]';
+      });
+    }
+
+    function handleNanoKey(e) {
+      if (e.ctrlKey) {
+        switch (e.key) {
+          case 's': save(); return;
+          case 'o': ask('File Name to Write', path, (name) => { if (name) save(name); }); return;
+          case 'x': exitIfSaved(); return;
+          case 'w': ask('Search', lastSearch, (query) => search(query)); return;
+          case 'k': cutLine(); return;
+          case 'u': pasteLines(); return;
+          case 'a': col = 0; return;
+          case 'e': col = lines[row].length; return;
+          case 'g':
+            message = '^S Save  ^O Write Out  ^W Where Is  ^K Cut  ^U Paste  ^A/^E Line start/end  ^X Exit';
+            return;
+          case 'c': {
+            const percent = Math.round(((row + 1) / lines.length) * 100);
+            message = `[ line ${row + 1}/${lines.length} (${percent}%), col ${col + 1}/${lines[row].length + 1} ]`;
+            return;
+          }
+          default: return;
+        }
+      }
+      if (moveCursor(e.key)) return;
+      if (e.key === 'Enter') splitLine();
+      else if (e.key === 'Backspace') backspace();
+      else if (e.key === 'Delete') deleteForward();
+      else if (e.key === 'Tab') insertText('  ');
+      else if (e.key.length === 1 && !e.altKey && !e.metaKey) insertText(e.key);
+    }
+
+    function runViCommand(command) {
+      const match = /^(\w+)(!?)(?:\s+(.+))?$/.exec(command.trim());
+      if (!match) {
+        message = `E492: Not an editor command: ${command}`;
+        return;
+      }
+      const [, name, bang, arg] = match;
+      if (/^\d+$/.test(name)) {
+        row = Number(name) - 1;
+        return;
+      }
+      if (name === 'w' || name === 'wq' || name === 'x') {
+        if (!save(arg || path)) return;
+        if (name !== 'w') endEditor();
+        return;
+      }
+      if (name === 'q') {
+        if (dirty && !bang) {
+          message = 'E37: No write since last change (add ! to override)';
+          return;
+        }
+        endEditor();
+        return;
+      }
+      message = `E492: Not an editor command: ${command}`;
+    }
+
+    function handleViKey(e) {
+      if (viMode === 'insert') {
+        if (e.key === 'Escape' || (e.ctrlKey && e.key === 'c')) {
+          viMode = 'normal';
+          col--;
+          message = '';
+          return;
+        }
+        if (moveCursor(e.key)) return;
+        if (e.key === 'Enter') splitLine();
+        else if (e.key === 'Backspace') backspace();
+        else if (e.key === 'Delete') deleteForward();
+        else if (e.key === 'Tab') insertText('  ');
+        else if (e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey) insertText(e.key);
+        return;
+      }
+      if (moveCursor(e.key)) return;
+      const insert = (mode = 'insert') => { viMode = mode; message = '-- INSERT --'; };
+      const key = pendingKey + e.key;
+      pendingKey = '';
+      switch (key) {
+        case 'h': col--; break;
+        case 'l': col++; break;
+        case 'j': row++; break;
+        case 'k': row--; break;
+        case '0': col = 0; break;
+        case '$': col = lines[row].length; break;
+        case 'w': {
+          const rest = lines[row].slice(col);
+          const next = rest.search(/(?<=\W)\w|(?<=\w)[^\w\s]/);
+          if (next > 0) col += next;
+          else if (row < lines.length - 1) { row++; col = 0; }
+          break;
+        }
+        case 'b': col = findWordStart(lines[row], col, /\w/); break;
+        case 'G': row = lines.length - 1; break;
+        case 'gg': row = 0; col = 0; break;
+        case 'x':
+          if (lines[row].length) {
+            lines[row] = lines[row].slice(0, col) + lines[row].slice(col + 1);
+            dirty = true;
+          }
+          break;
+        case 'dd': cutLine(); break;
+        case 'yy': cutBuffer = [lines[row]]; message = '1 line yanked'; break;
+        case 'p': pasteLines(true); break;
+        case 'P': pasteLines(false); break;
+        case 'i': insert(); break;
+        case 'a': col++; insert(); break;
+        case 'A': col = lines[row].length; insert(); break;
+        case 'I': col = lines[row].search(/\S|$/); insert(); break;
+        case 'o': lines.splice(row + 1, 0, ''); row++; col = 0; dirty = true; insert(); break;
+        case 'O': lines.splice(row, 0, ''); col = 0; dirty = true; insert(); break;
+        case 'n': search(lastSearch); break;
+        case '/': ask('/', '', (query) => search(query)); break;
+        case ':': ask(':', '', runViCommand); break;
+        case 'g':
+        case 'd':
+        case 'y':
+          pendingKey = key;
+          break;
+        default:
+          break;
+      }
+      if (viMode === 'insert') clampCursor();
+    }
+
+    // Capture phase so the editor sees keys before the shell's Ctrl+C handler
+    const onKeyDown = (e) => {
+      if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (prompt) handlePromptKey(e);
+      else if (keymap === 'vi') handleViKey(e);
+      else handleNanoKey(e);
+      if (!editorState) return;
+      clampCursor();
+      render();
+    };
+    document.addEventListener('keydown', onKeyDown, true);
+
+    function render() {
+      const width = cols();
+      const visible = bodyRows();
+      const title = ` ${keymap === 'vi' ? 'vi' : 'GNU nano'}  ${displayPath(resolvePath(path))}${dirty ? '  Modified' : ''} `;
+      let html = `<span class="editor-bar">${escapeHtml(title.padEnd(width, ' ').slice(0, width))}</span>\n`;
+      for (let r = top; r < top + visible; r++) {
+        if (r >= lines.length) {
+          html += keymap === 'vi' ? '<span class="dim">~</span>\n' : '\n';
+          continue;
+        }
+        const text = lines[r].slice(left, left + width);
+        if (r === row && !prompt) {
+          const c = col - left;
+          const under = text[c] || ' ';
+          html += `${escapeHtml(text.slice(0, c))}<span class="editor-cursor">${escapeHtml(under)}</span>${escapeHtml(text.slice(c + 1))}\n`;
+        } else {
+          html += `${escapeHtml(text)}\n`;
+        }
+      }
+      if (prompt) {
+        const label = prompt.label === ':' || prompt.label === '/' ? prompt.label : `${prompt.label}: `;
+        html += `<span class="editor-bar">${escapeHtml(label + prompt.value)}</span><span class="editor-cursor"> </span>\n`;
+      } else {
+        html += `<span class="warn">${escapeHtml(message)}</span>\n`;
+      }
+      const help = keymap === 'vi'
+        ? `${viMode === 'insert' ? 'Esc normal mode' : 'i insert  :w save  :q quit  :wq save and quit  /search'}`
+        : '^S Save   ^O Write Out   ^W Where Is   ^K Cut   ^U Paste   ^G Help   ^X Exit';
+      html += `<span class="dim">${escapeHtml(help)}</span>`;
+      screen.innerHTML = html;
+    }
+
+    editorState = { block, onKeyDown, onExit };
+    clampCursor();
+    render();
+  }
+
+  function endEditor() {
+    if (!editorState) return;
+    const { block, onKeyDown, onExit } = editorState;
+    document.removeEventListener('keydown', onKeyDown, true);
+    if (block && block.parentNode) block.parentNode.removeChild(block);
+    editorState = null;
+    if (onExit) onExit(0);
+  }
+
+  // ASCII game runtime. Each game registers a definition and gets a `./name` command; the host mounts
+  // a screen above the prompt, captures the keyboard, runs the game on a fixed timestep, repaints
+  // only the rows that changed, and owns pause, exit, game over and the game's score table.
+  //
+  // Definition: { title, cols, rows, minCols, minRows, controls, prepare(opts, stderr), create(host, setup) }
+  // create() returns { tick(dt), render(), restart(), keydown(e), keyup(e), pointer(event), legend() };
+  // the last four are optional. render() returns the board as rows of host.view.cols characters.
+  const games = new Map();
+  let gameState = null;
+  const gameFixedDt = 1 / 60; // 60 FPS physics
+  const gamePanelCols = 30;
+
+  // prepare() turns the parsed options into the setup passed to create(). It may throw a usage error,
+  // or any other error to have its message printed after the command name.
+  function registerGame(name, game, description, meta = {}) {
+    games.set(name, game);
+    registerCommand(`./${name}`, (args, { stderr, signal, opts }) => {
+      if (gameState) {
+        stderr.print(`${gameState.name} already running (press Esc to exit)`, 'warn');
+        return 1;
+      }
+      let setup = {};
+      if (game.prepare) {
+        try {
+          setup = game.prepare(opts, stderr);
+        } catch (err) {
+          if (err.usage) throw err;
+          stderr.print(`./${name}: ${err.message}`);
+          return 1;
+        }
+      }
+      // The command stays running until the game exits, so Ctrl+C also quits the game
+      return new Promise((resolve) => {
+        startGame(name, setup, resolve);
+        if (signal) signal.addEventListener('abort', endGame, { once: true });
+      });
+    }, description, { featured: true, ...meta });
+  }
+
+  function unregisterGame(name) {
+    games.delete(name);
+    unregisterCommand(`./${name}`);
+  }
+
+  // A frame is an array of equal-length rows inside a +---+ border, optionally labelled on the top
+  // and bottom edges
+  function createGameFrame(cols, rows, { top = '', bottom = '' } = {}) {
+    const edge = '+' + '-'.repeat(cols - 2) + '+';
+    const frame = new Array(rows).fill('|' + ' '.repeat(cols - 2) + '|');
+    frame[0] = top ? drawLabel(edge, ` ${top} `, 3) : edge;
+    frame[rows - 1] = bottom ? drawLabel(edge, ` ${bottom} `, 3) : edge;
+    return frame;
+  }
+
+  function drawLabel(line, label, start) {
+    if (label.length >= line.length - 2 - start) return line;
+    return line.slice(0, start) + label + line.slice(start + label.length);
+  }
+
+  // Writes text into a frame row, clipped to the inside of the walls
+  function putText(frame, row, col, text) {
+    if (row <= 0 || row >= frame.length - 1) return;
+    const line = frame[row];
+    const start = Math.max(1, col);
+    const end = Math.min(line.length - 1, col + text.length);
+    if (end <= start) return;
+    frame[row] = line.slice(0, start) + text.slice(start - col, end - col) + line.slice(end);
+  }
+
+  function putCentered(frame, row, text) {
+    if (!frame[row]) return;
+    putText(frame, row, Math.max(1, Math.floor((frame[row].length - text.length) / 2)), text);
+  }
+
+  function startGame(name, setup, onExit) {
+    const definition = games.get(name);
+    const { cols, rows, minCols = cols, minRows = rows } = definition;
+    disableInput();
+    const gameBlock = document.createElement('div');
+    gameBlock.className = 'term-game';
+    const screen = document.createElement('pre');
+    screen.className = 'game-screen';
+    screen.setAttribute('aria-label', `${definition.title} game`);
+    gameBlock.appendChild(screen);
+    // Tap targets for touch screens; CSS only shows them on coarse pointers
+    const touchBar = document.createElement('div');
+    touchBar.className = 'game-touch';
+    const pauseButton = document.createElement('button');
+    pauseButton.type = 'button';
+    pauseButton.textContent = 'Pause';
+    const exitButton = document.createElement('button');
+    exitButton.type = 'button';
+    exitButton.textContent = 'Exit';
+    touchBar.append(pauseButton, exitButton);
+    gameBlock.appendChild(touchBar);
+    // Insert inside terminal just above the prompt line
+    const promptLine = document.getElementById('prompt-line');
+    outputEl.insertBefore(gameBlock, promptLine);
+
+    // Board size in characters. Narrower screens drop the side panel, then shrink the board as far
+    // as the game allows; games that set no minimum keep their full size.
+    const view = { cols, rows, panel: true, charWidth: 0, charHeight: 0 };
+    function measureView() {
+      const { width, height } = measureCharSize(screen, '');
+      view.charWidth = width;
+      view.charHeight = height;
+      if (!width || !height) {
+        Object.assign(view, { cols, rows, panel: true });
+        return;
+      }
+      const available = Math.floor(outputEl.clientWidth / width);
+      view.panel = available >= cols + gamePanelCols;
+      view.cols = Math.max(minCols, Math.min(cols, available));
+      view.rows = Math.max(minRows, Math.min(rows, Math.floor(outputEl.clientHeight / height) - 2));
+    }
+    measureView();
+
+    // 'play', 'save' (asking whether to keep the score), 'name' (typing it) or 'finished' (any key exits)
+    let mode = 'play';
+    let userPaused = false;
+    let result = null;
+    let nameBuffer = '';
+    let finishMessage = '';
+    let scores = loadHighScores(name).entries;
+
+    const host = {
+      view,
+      // Ends a run with { score, level, saveReplay, note }; the player may save it, then the game
+      // restarts. saveReplay() is only called for saved scores and returns the path of the replay file.
+      gameOver(run) {
+        result = run;
+        mode = 'save';
+      },
+      // Shows a closing message until the next key or tap exits
+      finish(message) {
+        finishMessage = message;
+        mode = 'finished';
+      },
+    };
+    const game = definition.create(host, setup);
+
+    function restart() {
+      game.restart();
+      mode = 'play';
+      result = null;
+      nameBuffer = '';
+    }
+
+    function saveScore() {
+      let replay = null;
+      try {
+        if (result.saveReplay) replay = result.saveReplay();
+      } catch {}
+      scores = sortHighScores([...scores, {
+        name: nameBuffer.trim() || 'anon',
+        score: result.score,
+        level: result.level ?? null,
+        date: new Date().toISOString(),
+        replay,
+      }]);
+      saveHighScores(name, scores);
+      restart();
+    }
+
+    function togglePause() {
+      if (mode !== 'play') return;
+      userPaused = !userPaused;
+      pauseButton.textContent = userPaused ? 'Resume' : 'Pause';
+    }
+
+    // The game only sees keys while it is being played; unhandled keys (Ctrl+C) keep their default
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape' || mode === 'finished') { e.preventDefault(); endGame(); return; }
+      if (mode === 'save') {
+        const k = e.key.toLowerCase();
+        if (k === 'y') { e.preventDefault(); mode = 'name'; nameBuffer = ''; return; }
+        if (k === 'n') { e.preventDefault(); restart(); return; }
+        return;
+      }
+      if (mode === 'name') {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          saveScore();
+          return;
+        }
+        if (e.key === 'Backspace') {
+          e.preventDefault();
+          nameBuffer = nameBuffer.slice(0, -1);
+          return;
+        }
+        if (e.key.length === 1 && /^[a-zA-Z0-9 _-]$/.test(e.key)) {
+          e.preventDefault();
+          if (nameBuffer.length < 16) nameBuffer += e.key;
+        }
+        return;
+      }
+      if (e.key === 'p' || e.key === 'P') { e.preventDefault(); togglePause(); return; }
+      if (!userPaused && game.keydown && game.keydown(e)) e.preventDefault();
+    };
+    const onKeyUp = (e) => {
+      if (game.keyup) game.keyup(e);
+    };
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keyup', onKeyUp);
+
+    const onResize = () => measureView();
+    window.addEventListener('resize', onResize);
+
+    // Touches reach the game in view cells: 'move' while a finger is down, then 'end' (with `tap` for
+    // a short touch that barely moved) or 'cancel'. A tap also declines saving or leaves a finished game.
+    let touchStart = null;
+    function toPointerEvent(e, type, tap = false) {
+      const rect = screen.getBoundingClientRect();
+      const charWidth = view.charWidth || 1;
+      const charHeight = view.charHeight || 1;
+      return {
+        type,
+        tap,
+        col: (e.clientX - rect.left) / charWidth,
+        row: (e.clientY - rect.top) / charHeight,
+        dx: (e.clientX - touchStart.x) / charWidth,
+        dy: (e.clientY - touchStart.y) / charHeight,
+      };
+    }
+    function sendPointer(event) {
+      if (mode === 'play' && game.pointer) game.pointer(userPaused ? { ...event, type: 'cancel', tap: false } : event);
+    }
+    screen.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse') return;
+      e.preventDefault();
+      touchStart = { x: e.clientX, y: e.clientY, time: performance.now() };
+      if (!userPaused) sendPointer(toPointerEvent(e, 'move'));
+    });
+    screen.addEventListener('pointermove', (e) => {
+      if (!touchStart || userPaused) return;
+      sendPointer(toPointerEvent(e, 'move'));
+    });
+    screen.addEventListener('pointerup', (e) => {
+      if (!touchStart) return;
+      const tap = Math.hypot(e.clientX - touchStart.x, e.clientY - touchStart.y) < 10 && performance.now() - touchStart.time < 300;
+      const event = toPointerEvent(e, 'end', tap);
+      touchStart = null;
+      if (tap && mode === 'finished') endGame();
+      else if (tap && mode === 'save') restart();
+      else sendPointer(event);
+    });
+    screen.addEventListener('pointercancel', (e) => {
+      if (!touchStart) return;
+      const event = toPointerEvent(e, 'cancel');
+      touchStart = null;
+      sendPointer(event);
+    });
+    pauseButton.addEventListener('click', togglePause);
+    exitButton.addEventListener('click', () => endGame());
+
+    // Right-hand panel: the score table, the game's legend and the controls
+    function renderPanel(height) {
+      const width = gamePanelCols - 2;
+      const panel = new Array(height).fill('');
+      const put = (row, text) => {
+        if (row >= 0 && row < height) panel[row] = text;
+      };
+      put(1, ' HIGH SCORES');
+      for (let i = 0; i < 10; i++) {
+        const entry = scores[i];
+        const rank = String(i + 1).padStart(2, ' ');
+        put(3 + i, entry ? `${rank}. ${entry.name.padEnd(16, ' ')} ${String(entry.score).padStart(6, ' ')}` : `${rank}.`);
+      }
+      (game.legend ? game.legend() : []).forEach((line, i) => put(15 + i, line));
+      const controls = [...(definition.controls || []), ' P pause  Esc exit'];
+      controls.forEach((line, i) => put(height - 2 - controls.length + i, line));
+      return panel.map(line => line.slice(0, width).padEnd(width, ' '));
+    }
+
+    function compose() {
+      const frame = game.render();
+      const middle = Math.floor(frame.length / 2);
+      if (mode === 'finished') {
+        putCentered(frame, middle, ` ${finishMessage} `);
+      } else if (mode === 'save') {
+        putCentered(frame, middle, ' GAME OVER - Save score? (y/n) ');
+        if (result.note) putCentered(frame, middle + 1, ` ${result.note} `);
+      } else if (mode === 'name') {
+        putCentered(frame, middle, ` Enter name: ${nameBuffer}_`);
+      } else if (userPaused) {
+        putCentered(frame, middle, ' PAUSED - press P to resume ');
+      }
+      if (!view.panel) return frame;
+      const panel = renderPanel(frame.length);
+      return frame.map((row, i) => row + '  ' + panel[i]);
+    }
+
+    // Frame diffing: each row is its own text node and only rows that changed are rewritten
+    let rowNodes = [];
+    function paint(lines) {
+      if (lines.length !== rowNodes.length) {
+        screen.textContent = '';
+        rowNodes = lines.map(() => screen.appendChild(document.createTextNode('')));
+      }
+      lines.forEach((line, i) => {
+        const text = i < lines.length - 1 ? line + '\n' : line;
+        if (rowNodes[i].data !== text) rowNodes[i].data = text;
+      });
+    }
+
+    let lastTs = performance.now();
+    let accumulator = 0;
+    const state = { name, gameBlock, onKeyDown, onKeyUp, onResize, onExit, raf: null };
+
+    function loop(ts) {
+      if (gameState !== state) return;
+      let dt = (ts - lastTs) / 1000;
+      if (dt > 0.25) dt = 0.25; // avoid big jumps on tab switch
+      lastTs = ts;
+      accumulator = mode === 'play' && !userPaused ? accumulator + dt : 0;
+      while (accumulator >= gameFixedDt && mode === 'play') {
+        game.tick(gameFixedDt);
+        accumulator -= gameFixedDt;
+      }
+      paint(compose());
+      state.raf = requestAnimationFrame(loop);
+    }
+
+    gameState = state;
+    state.raf = requestAnimationFrame(loop);
+  }
+
+  function endGame() {
+    if (!gameState) return;
+    const { name, gameBlock, onKeyDown, onKeyUp, onResize, raf, onExit } = gameState;
+    if (raf) cancelAnimationFrame(raf);
+    document.removeEventListener('keydown', onKeyDown);
+    document.removeEventListener('keyup', onKeyUp);
+    window.removeEventListener('resize', onResize);
+    if (gameBlock && gameBlock.parentNode) gameBlock.parentNode.removeChild(gameBlock);
+    gameState = null;
+    enableInput();
+    printLine(`Exited ${name}`, 'dim');
+    if (onExit) onExit(0);
+  }
+
+  // Each game keeps its high scores in localStorage as [{ name, score, level, date, replay }], best
+  // first. v1 lists of { name, score } are migrated on first load; entries that fail validation are
+  // moved under their own key instead of being dropped.
+  const highScoreLimit = 100;
+
+  function highScoreKeys(game) {
+    return {
+      current: `${game}_high_scores_v2`,
+      legacy: `${game}_high_scores_v1`,
+      rejected: `${game}_high_scores_rejected`,
+    };
+  }
+
+  // Games with a score table: every registered game plus any with scores in storage, so the
+  // scores of a game that is not loaded right now can still be listed and exported
+  function scoreTableGames() {
+    const names = new Set(games.keys());
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const match = /^(.+)_high_scores_(?:v1|v2|rejected)$/.exec(localStorage.key(i));
+        if (match) names.add(match[1]);
+      }
+    } catch {}
+    return Array.from(names);
+  }
+
+  // Returns the entry in the current schema, or null when it can't be trusted
+  function normalizeHighScore(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = typeof raw.name === 'string' ? raw.name.trim().slice(0, 16) : '';
+    if (!name || !Number.isInteger(raw.score) || raw.score < 0) return null;
+    const level = raw.level ?? null;
+    if (level !== null && !(Number.isInteger(level) && level > 0)) return null;
+    const date = raw.date ?? null;
+    if (date !== null && (typeof date !== 'string' || Number.isNaN(Date.parse(date)))) return null;
+    const replay = raw.replay ?? null;
+    if (replay !== null && typeof replay !== 'string') return null;
+    return { name, score: raw.score, level, date, replay };
+  }
+
+  function sortHighScores(entries) {
+    return [...entries].sort((a, b) => b.score - a.score || (a.date || '').localeCompare(b.date || '')).slice(0, highScoreLimit);
+  }
+
+  function validateHighScores(list) {
+    const entries = [];
+    const rejected = [];
+    for (const raw of list) {
+      const entry = normalizeHighScore(raw);
+      if (entry) entries.push(entry);
+      else rejected.push(raw);
+    }
+    return { entries: sortHighScores(entries), rejected };
+  }
+
+  function setAsideHighScores(game, rejected) {
+    const key = highScoreKeys(game).rejected;
+    try {
+      const kept = JSON.parse(localStorage.getItem(key) || '[]');
+      localStorage.setItem(key, JSON.stringify([...(Array.isArray(kept) ? kept : []), ...rejected]));
+    } catch {}
+  }
+
+  function saveHighScores(game, entries) {
+    try { localStorage.setItem(highScoreKeys(game).current, JSON.stringify(sortHighScores(entries))); } catch {}
+  }
+
+  // Resolves to { entries, rejected, migrated }; rewrites storage when it migrated or set entries aside
+  function loadHighScores(game) {
+    const keys = highScoreKeys(game);
+    let stored = null;
+    let migrated = false;
+    try {
+      stored = localStorage.getItem(keys.current);
+      if (stored === null) {
+        stored = localStorage.getItem(keys.legacy);
+        migrated = stored !== null;
+      }
+    } catch {}
+    if (stored === null) return { entries: [], rejected: [], migrated };
+    let list;
+    try {
+      list = JSON.parse(stored);
+    } catch {}
+    const { entries, rejected } = Array.isArray(list) ? validateHighScores(list) : { entries: [], rejected: [stored] };
+    if (rejected.length) setAsideHighScores(game, rejected);
+    if (migrated || rejected.length) {
+      saveHighScores(game, entries);
+      if (migrated) try { localStorage.removeItem(keys.legacy); } catch {}
+    }
+    return { entries, rejected, migrated };
+  }
+
+  function formatScoreDate(date) {
+    return date ? new Date(date).toISOString().slice(0, 10) : '-';
+  }
+
+  registerCommand('scores', (args, { stdout, stderr, opts }) => {
+    const game = opts.g === undefined ? 'breakout' : opts.g;
+    const known = scoreTableGames();
+    if (!known.includes(game)) throw usageError(`unknown game '${game}': choose ${known.join(', ')}`);
+    const keys = highScoreKeys(game);
+    const { entries, rejected, migrated } = loadHighScores(game);
+    if (migrated) stderr.print(`scores: migrated high scores from ${keys.legacy}`, 'dim');
+    if (rejected.length) {
+      stderr.print(`scores: set aside ${rejected.length} invalid entr${rejected.length === 1 ? 'y' : 'ies'} under ${keys.rejected}`, 'warn');
+    }
+
+    if (opts.clear) {
+      if (!opts.f) {
+        stderr.print(`scores: this deletes all ${entries.length} ${game} high scores`, 'warn');
+        stderr.print(`scores: run 'scores${opts.g === undefined ? '' : ` -g ${game}`} --clear -f' to confirm`, 'dim');
+        return 1;
+      }
+      saveHighScores(game, []);
+      stdout.print(`${game} high scores cleared`, 'ok');
+      return 0;
+    }
+
+    if (opts.import !== undefined) {
+      let data;
+      try {
+        data = JSON.parse(readFile(opts.import));
+      } catch (err) {
+        stderr.print(`scores: ${err instanceof SyntaxError ? `${opts.import}: not valid JSON` : err.message}`);
+        return 1;
+      }
+      const list = Array.isArray(data) ? data : data && data.scores;
+      if (!Array.isArray(list)) {
+        stderr.print(`scores: ${opts.import}: expected a list of scores`);
+        return 1;
+      }
+      if (!Array.isArray(data) && data.game !== undefined && data.game !== game) {
+        stderr.print(`scores: ${opts.import}: holds ${data.game} scores; use -g ${data.game}`);
+        return 1;
+      }
+      const imported = validateHighScores(list);
+      const key = (e) => `${e.name}\u0000${e.score}\u0000${e.date}`;
+      const known = new Set(entries.map(key));
+      const added = imported.entries.filter(e => !known.has(key(e)));
+      saveHighScores(game, [...entries, ...added]);
+      stdout.print(`imported ${added.length} of ${list.length} scores from ${opts.import}`, 'ok');
+      if (imported.rejected.length) stderr.print(`scores: skipped ${imported.rejected.length} invalid entries`, 'warn');
+      return imported.rejected.length ? 1 : 0;
+    }
+
+    if (opts.export !== undefined) {
+      try {
+        writeFile(opts.export, JSON.stringify({ game, version: 2, scores: entries }, null, 2) + '\n');
+      } catch (err) {
+        stderr.print(`scores: ${err.message}`);
+        return 1;
+      }
+      stdout.print(`exported ${entries.length} scores to ${opts.export}`, 'ok');
+      return 0;
+    }
 
-  // Command registry
-  const commands = new Map();
+    const limit = opts.n === undefined ? entries.length : Number(opts.n);
+    if (!Number.isInteger(limit) || limit < 0) throw usageError(`invalid number of scores: '${opts.n}'`);
+    const filter = args[0] && args[0].toLowerCase();
+    const shown = entries
+      .map((entry, index) => ({ ...entry, rank: index + 1 }))
+      .filter(entry => !filter || entry.name.toLowerCase().includes(filter))
+      .slice(0, limit);
+    if (!shown.length) {
+      stdout.print(entries.length ? 'no matching scores' : `no high scores yet; play ./${game}`, 'dim');
+      return entries.length ? 1 : 0;
+    }
+    stdout.print('RANK  NAME              SCORE  LEVEL  DATE        REPLAY', 'dim');
+    for (const entry of shown) {
+      const cells = [
+        String(entry.rank).padStart(4),
+        entry.name.padEnd(16),
+        String(entry.score).padStart(6),
+        String(entry.level ?? '-').padStart(6),
+        formatScoreDate(entry.date).padEnd(10),
+        entry.replay ? displayPath(entry.replay) : '-',
+      ];
+      stdout.print(cells.join('  '));
+    }
+  }, 'List and manage game high scores', {
+    options: [
+      { short: 'g', long: 'game', value: 'name', description: 'Use the table for game name (default breakout)' },
+      { short: 'n', value: 'count', description: 'Show only the best count scores' },
+      { long: 'export', value: 'file', description: 'Write all scores to a JSON file' },
+      { long: 'import', value: 'file', description: 'Merge scores from a JSON file' },
+      { long: 'clear', description: 'Delete all scores (needs -f)' },
+      { short: 'f', long: 'force', description: 'Confirm --clear' },
+    ],
+    operands: [{ name: 'name' }],
+    examples: ['scores -n 5', 'scores adrian', 'scores -g tetris', 'scores --export ~/scores.json', 'scores --import ~/scores.json', 'scores --clear -f'],
+    complete: ({ args, current }) => {
+      const previous = args[args.length - 1];
+      if (previous === '-g' || previous === '--game') return scoreTableGames();
+      return ['--export', '--import'].includes(previous) ? completePaths(current) : [];
+    },
+  });
 
-  function registerCommand(name, handler, description) {
-    commands.set(name, { handler, description });
+  // mulberry32: a small seeded PRNG, so a game is reproducible from its seed and inputs
+  function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
   }
 
-  function runCommand(rawInput) {
-    const input = rawInput.trim();
-    if (!input) return;
+  // Breakout
+  // Playfield size in characters; bricks are `brickW` characters wide and start at row `bricksStartY`
+  const breakoutLayout = { cols: 96, rows: 32, brickW: 7, maxBrickRows: 12, bricksStartY: 2 };
+  const breakoutGridWidth = Math.floor((breakoutLayout.cols - 2) / breakoutLayout.brickW);
+  // Rows down to the bottom of the brick area keep their size when a short screen squeezes the board
+  const breakoutFixedRows = breakoutLayout.bricksStartY + breakoutLayout.maxBrickRows;
+  const breakoutLevelDir = `${HOME}/levels`;
+  // Brick types by level character; a brick is drawn with the character for its remaining hits
+  const breakoutBricks = {
+    '#': { hits: 1, points: 1 },
+    '1': { hits: 1, points: 1 },
+    '%': { hits: 2, points: 3 },
+    '@': { hits: 3, points: 5 },
+  };
+  const breakoutHitChars = ['#', '%', '@'];
+  const breakoutGaps = ' .0';
+  // Destroyed bricks sometimes drop a power-up; timed effects last `seconds`
+  const breakoutPowerUps = {
+    wide: { glyph: 'W', label: 'WIDE', description: 'wider paddle', seconds: 15, width: 24 },
+    multi: { glyph: 'M', label: 'MULTI', description: 'two extra balls' },
+    slow: { glyph: 'S', label: 'SLOW', description: 'slower balls', seconds: 10 },
+    sticky: { glyph: 'C', label: 'CATCH', description: 'sticky paddle', seconds: 15 },
+  };
+  const breakoutPowerUpChance = 0.15;
+  const breakoutPowerUpSpeed = 8; // rows/sec
 
-    const [name, ...args] = tokenize(input);
-    const entry = commands.get(name);
-    if (!entry) {
-      printLine(`command not found: ${escapeHtml(name)}`, 'err');
-      return;
+  registerGame('breakout', {
+    title: 'Breakout',
+    cols: breakoutLayout.cols,
+    rows: breakoutLayout.rows,
+    minCols: 30,
+    minRows: breakoutFixedRows + 6,
+    controls: [' Arrows move  Space launch'],
+    prepare: prepareBreakout,
+    create: createBreakout,
+  }, 'Play Breakout', {
+    options: [
+      { long: 'level', value: 'n', description: 'Start on level n of ~/levels' },
+      { long: 'seed', value: 'n', description: 'Seed the random number generator for a repeatable game' },
+      { long: 'replay', value: 'file', description: 'Play back a recording from ~/replays' },
+    ],
+    examples: ['./breakout', './breakout --level 3', './breakout --replay ~/replays/breakout-20250901-120000.json'],
+    complete: ({ args, current }) => (args[args.length - 1] === '--replay' ? completePaths(current) : []),
+  });
+
+  function prepareBreakout(opts, stderr) {
+    if (opts.replay !== undefined) return readBreakoutRecording(opts.replay);
+    const levels = loadBreakoutLevels(stderr);
+    const level = opts.level === undefined ? 1 : Number(opts.level);
+    if (!Number.isInteger(level) || level < 1 || level > levels.length) {
+      throw usageError(`invalid level '${opts.level}': choose 1-${levels.length}`);
     }
-    try {
-      return entry.handler(args);
-    } catch (err) {
-      printLine(`error: ${escapeHtml(String(err))}`, 'err');
+    const seed = opts.seed === undefined ? undefined : Number(opts.seed);
+    if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32)) {
+      throw usageError(`invalid seed '${opts.seed}': use a whole number below 2^32`);
     }
+    return { levels, startLevel: level - 1, seed };
   }
 
-  function tokenize(s) {
-    // simple tokenizer supporting quoted strings
-    const out = [];
-    let cur = '';
-    let quote = null;
-    for (let i = 0; i < s.length; i++) {
-      const ch = s[i];
-      if (quote) {
-        if (ch === quote) { quote = null; continue; }
-        if (ch === '\\' && i + 1 < s.length) { cur += s[++i]; continue; }
-        cur += ch;
-      } else {
-        if (ch === '"' || ch === "'") { quote = ch; continue; }
-        if (ch === ' ') { if (cur) { out.push(cur); cur = ''; } continue; }
-        cur += ch;
-      }
+  // Recordings hold everything a run depends on: the seed, the level grids as played and one input
+  // per physics tick, run-length encoded as [bits, ticks] pairs (1 = left, 2 = right, 4 = launch)
+  const breakoutReplayDir = `${HOME}/replays`;
+
+  function saveBreakoutRecording(recording) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    const path = joinPath(breakoutReplayDir, `breakout-${stamp}.json`);
+    makeDir(breakoutReplayDir, { parents: true });
+    writeFile(path, JSON.stringify({ game: 'breakout', version: 1, ...recording }) + '\n');
+    return path;
+  }
+
+  function readBreakoutRecording(path) {
+    let data;
+    try {
+      data = JSON.parse(readFile(path));
+    } catch (err) {
+      throw err instanceof SyntaxError ? new Error(`${path}: not valid JSON`) : err;
     }
-    if (cur) out.push(cur);
-    return out;
+    const valid = data && data.game === 'breakout' && data.version === 1
+      && Number.isInteger(data.seed) && Number.isInteger(data.startLevel) && Number.isInteger(data.score)
+      && Array.isArray(data.levels) && data.levels.length > 0 && data.startLevel < data.levels.length
+      && Array.isArray(data.inputs) && data.inputs.every(run => Array.isArray(run) && run.length === 2
+        && Number.isInteger(run[0]) && Number.isInteger(run[1]) && run[1] > 0);
+    if (!valid) throw new Error(`${path}: not a breakout recording`);
+    const levels = data.levels.map(({ name, rows }) => ({
+      name,
+      grid: parseBreakoutLevel(rows.join('\n'), breakoutGridWidth),
+    }));
+    return { levels, startLevel: data.startLevel, seed: data.seed, replay: { path, inputs: data.inputs, score: data.score } };
   }
 
-  // Built-in commands
-  registerCommand('ls', () => {
-    const owner = 'adrian';
-    files.forEach((file, index) => {
-      const permissions = '.rw-r--r--';
-      const sizeBytes = getFileSizeBytes(file);
-      const sizeHuman = formatHumanSize(sizeBytes);
-      const when = new Date(Date.now() - index * 60 * 60 * 1000);
-      const whenStr = formatDateForLs(when);
-      const icon = getFileIcon(file.name);
-
-      const permsCol = permissions.padEnd(10, ' ');
-      const sizeCol = sizeHuman.padStart(6, ' ');
-      const ownerCol = owner.padEnd(7, ' ');
-      const dateCol = whenStr.padEnd(12, ' ');
-      const line = `${permsCol} ${sizeCol} ${ownerCol} ${dateCol} ${icon} ${file.name}`;
-      printLine(escapeHtml(line));
+  // Level files are text grids with one character per brick slot; lines starting with `;` are
+  // comments. A line made only of bits may be wider than the playfield and wraps onto the next rows.
+  function parseBreakoutLevel(text, width) {
+    const grid = [];
+    text.split('\n').forEach((line, index) => {
+      const row = line.replace(/\s+$/, '');
+      if (row.startsWith(';')) return;
+      const chunks = /^[01]+$/.test(row) ? row.match(new RegExp(`.{1,${width}}`, 'g')) : [row];
+      chunks.forEach((chunk, chunkIndex) => {
+        if (chunk.length > width) {
+          throw new Error(`line ${index + 1}: ${chunk.length} bricks wide, the playfield fits ${width}`);
+        }
+        grid.push(Array.from(chunk, (ch, col) => {
+          if (breakoutGaps.includes(ch)) return null;
+          if (!breakoutBricks[ch]) {
+            throw new Error(`line ${index + 1}, column ${chunkIndex * width + col + 1}: unknown brick '${ch}'`);
+          }
+          return ch;
+        }));
+      });
     });
-  }, 'List files');
-
-  function getFileSizeBytes(file) {
-    if (typeof file.content === 'string') return new TextEncoder().encode(file.content).length;
-    return 0;
+    while (grid.length && !grid[grid.length - 1].some(Boolean)) grid.pop();
+    if (!grid.length) throw new Error('level has no bricks');
+    if (grid.length > breakoutLayout.maxBrickRows) {
+      throw new Error(`${grid.length} rows of bricks, the playfield fits ${breakoutLayout.maxBrickRows}`);
+    }
+    return grid;
   }
 
-  function formatHumanSize(bytes) {
-    if (bytes < 1024) return `${bytes}B`;
-    const kb = bytes / 1024;
-    if (kb < 10) return `${kb.toFixed(1)}k`;
-    if (kb < 1024) return `${Math.round(kb)}k`;
-    const mb = kb / 1024;
-    if (mb < 10) return `${mb.toFixed(1)}m`;
-    if (mb < 1024) return `${Math.round(mb)}m`;
-    const gb = mb / 1024;
-    return gb < 10 ? `${gb.toFixed(1)}g` : `${Math.round(gb)}g`;
+  // Reads ~/levels in natural order, skipping (and reporting) files that don't parse.
+  // Falls back to the classic wall when no level is usable.
+  function loadBreakoutLevels(stderr) {
+    const levels = [];
+    const dir = getNode(breakoutLevelDir);
+    if (dir && dir.type === 'dir') {
+      const names = Array.from(dir.children.keys())
+        .filter(name => !name.startsWith('.') && dir.children.get(name).type === 'file')
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      for (const name of names) {
+        try {
+          levels.push({ name, grid: parseBreakoutLevel(dir.children.get(name).content, breakoutGridWidth) });
+        } catch (err) {
+          stderr.print(`./breakout: ${displayPath(joinPath(breakoutLevelDir, name))}: ${err.message}`, 'warn');
+        }
+      }
+    }
+    if (!levels.length) {
+      const wall = new Array(4).fill('#'.repeat(breakoutGridWidth)).join('\n');
+      levels.push({ name: 'classic', grid: parseBreakoutLevel(wall, breakoutGridWidth) });
+    }
+    return levels;
   }
 
-  function formatDateForLs(date) {
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const day = date.getDate();
-    const mon = months[date.getMonth()];
-    const hh = String(date.getHours()).padStart(2, '0');
-    const mm = String(date.getMinutes()).padStart(2, '0');
-    return `${day} ${mon} ${hh}:${mm}`;
-  }
+  function createBreakout(host, { levels, startLevel = 0, seed, replay }) {
+    const { view } = host;
+    const { cols, rows, brickW, bricksStartY } = breakoutLayout;
+    const keyState = { left: false, right: false };
+    // Logical x the paddle centre follows while a finger drags across the board
+    let dragTarget = null;
+    let launchRequested = false;
 
-  function getFileIcon(name) {
-    const lower = name.toLowerCase();
-    if (lower.endsWith('.html') || lower.endsWith('.htm')) return '';
-    if (lower.endsWith('.jpg') || lower.endsWith('.jpeg') || lower.endsWith('.png') || lower.endsWith('.gif')) return '';
-    if (lower.endsWith('.js')) return '';
-    if (lower.endsWith('.css')) return '';
-    if (lower.endsWith('.txt')) return '';
-    if (lower.endsWith('.yaml') || lower.endsWith('.yml')) return '';
-    if (lower.endsWith('.json')) return '';
-    return '';
-  }
-
-  registerCommand('cat', (args) => {
-    if (args.length === 0) {
-      printLine('usage: cat <file>', 'dim');
-      return;
+    // Physics always runs on the 96x32 logical grid so replays stay exact; only the view is scaled.
+    // Short views compress the open space below the bricks.
+    function viewX(x) {
+      return Math.round((x * (view.cols - 1)) / (cols - 1));
     }
-    const wanted = args[0];
-    const file = files.find(f => f.name === wanted);
-    if (!file) {
-      printLine(`cat: ${escapeHtml(wanted)}: No such file`, 'err');
-      return;
+    function viewY(y) {
+      if (y <= breakoutFixedRows) return Math.round(y);
+      return breakoutFixedRows + Math.round(((y - breakoutFixedRows) * (view.rows - 1 - breakoutFixedRows)) / (rows - 1 - breakoutFixedRows));
     }
-    printLine(escapeHtml(file.content));
-  }, 'Print file contents');
 
-  registerCommand('help', () => {
-    printLine('Available commands:', 'dim');
-    for (const [name, meta] of commands) {
-      printLine(`<span class="cyan">${name}</span> - ${escapeHtml(meta.description || '')}`);
+    function keydown(e) {
+      if (replay) return false;
+      if (e.key === 'ArrowLeft') keyState.left = true;
+      else if (e.key === 'ArrowRight') keyState.right = true;
+      else if (e.key === ' ') launchRequested = true;
+      else return false;
+      return true;
     }
-  }, 'Show help');
 
-  // Simple Breakout game scaffold
-  let breakoutState = null;
+    function keyup(e) {
+      if (e.key === 'ArrowLeft') { keyState.left = false; }
+      if (e.key === 'ArrowRight') { keyState.right = false; }
+    }
 
-  registerCommand('./breakout', () => {
-    if (breakoutState) {
-      printLine('breakout already running (press Esc to exit)', 'warn');
-      return;
+    // Dragging moves the paddle; a tap launches a caught ball
+    function pointer({ type, tap, col }) {
+      dragTarget = type === 'move' ? (col * (cols - 1)) / (view.cols - 1) : null;
+      if (type === 'end' && tap) launchRequested = true;
     }
-    startBreakout();
-  }, 'Play Breakout');
 
-  function startBreakout() {
-    disableInput();
-    const gameBlock = document.createElement('div');
-    gameBlock.className = 'term-game';
-    const screen = document.createElement('pre');
-    screen.className = 'game-screen';
-    screen.setAttribute('aria-label', 'Breakout game');
-    screen.textContent = '';
-    gameBlock.appendChild(screen);
-    // Insert inside terminal just above the prompt line
-    const promptLine = document.getElementById('prompt-line');
-    outputEl.insertBefore(gameBlock, promptLine);
+    // Paddle and balls in grid coordinates (float for smooth motion)
+    const paddleWidth = 16;
+    const paddle = { w: paddleWidth, x: (cols - paddleWidth) / 2, y: rows - 3, speed: 28 }; // chars/sec
+    let balls = [];
+    // Falling power-ups and the seconds left on each timed effect
+    let powerUps = [];
+    const effects = { wide: 0, slow: 0, sticky: 0 };
+    const startLives = 3;
+    let lives = startLives;
 
-    const keyState = { left: false, right: false };
+    // Every physics tick consumes one input. Live play samples the keyboard and appends to the
+    // recording; a replay reads the recorded inputs back instead.
+    let rng;
+    let recording;
+    let replayCursor;
 
-    let paused = false;
-    let awaitingSave = false;
-    let awaitingName = false;
-    let nameBuffer = '';
+    function beginRun() {
+      const runSeed = replay || seed !== undefined ? seed : Math.floor(Math.random() * 2 ** 32);
+      rng = createRng(runSeed);
+      recording = {
+        seed: runSeed,
+        startLevel,
+        levels: levels.map(({ name, grid }) => ({ name, rows: grid.map(row => row.map(cell => cell || '.').join('')) })),
+        score: 0,
+        ticks: 0,
+        inputs: [],
+      };
+      replayCursor = { run: 0, used: 0 };
+    }
 
-    const onKeyDown = (e) => {
-      if (e.key === 'Escape') { e.preventDefault(); endBreakout(); return; }
-      if (awaitingSave) {
-        const k = e.key.toLowerCase();
-        if (k === 'y') { e.preventDefault(); awaitingSave = false; awaitingName = true; nameBuffer = ''; return; }
-        if (k === 'n') { e.preventDefault(); restartGame(); return; }
-        return;
-      }
-      if (awaitingName) {
-        if (e.key === 'Enter') {
-          e.preventDefault();
-          const name = nameBuffer.trim() || 'anon';
-          highScores.push({ name, score });
-          highScores.sort((a, b) => b.score - a.score);
-          highScores = highScores.slice(0, 50);
-          saveHighScores();
-          restartGame();
-          return;
-        }
-        if (e.key === 'Backspace') {
-          e.preventDefault();
-          nameBuffer = nameBuffer.slice(0, -1);
-          return;
-        }
-        if (e.key.length === 1 && /^[a-zA-Z0-9 _-]$/.test(e.key)) {
-          e.preventDefault();
-          if (nameBuffer.length < 16) nameBuffer += e.key;
+    // Returns the input bits for the next tick, or null once a replay runs out of inputs
+    function nextInput() {
+      if (replay) {
+        const run = replay.inputs[replayCursor.run];
+        if (!run) return null;
+        if (++replayCursor.used === run[1]) {
+          replayCursor.run++;
+          replayCursor.used = 0;
         }
-        return;
+        return run[0];
       }
-      if (e.key === 'ArrowLeft') { e.preventDefault(); keyState.left = true; }
-      if (e.key === 'ArrowRight') { e.preventDefault(); keyState.right = true; }
-    };
-    const onKeyUp = (e) => {
-      if (e.key === 'ArrowLeft') { keyState.left = false; }
-      if (e.key === 'ArrowRight') { keyState.right = false; }
-    };
-    document.addEventListener('keydown', onKeyDown);
-    document.addEventListener('keyup', onKeyUp);
-
-    // ASCII grid settings
-    const cols = 96;
-    const rows = 32;
-    const leftWall = 0, rightWall = cols - 1, topWall = 0, bottomWall = rows - 1;
-
-    // Paddle and ball in grid coordinates (float for smooth motion)
-    const paddle = { w: 16, x: (cols - 16) / 2, y: rows - 3, speed: 28 }; // chars/sec
-    const ball = { x: cols / 2, y: rows - 4, vx: 18, vy: -18 }; // chars/sec
+      const centre = paddle.x + paddle.w / 2;
+      const dragLeft = dragTarget !== null && dragTarget < centre - 1;
+      const dragRight = dragTarget !== null && dragTarget > centre + 1;
+      const bits = (keyState.left || dragLeft ? 1 : 0) | (keyState.right || dragRight ? 2 : 0) | (launchRequested ? 4 : 0);
+      launchRequested = false;
+      const last = recording.inputs[recording.inputs.length - 1];
+      if (last && last[0] === bits) last[1]++;
+      else recording.inputs.push([bits, 1]);
+      return bits;
+    }
 
     // Bricks and score
     let score = 0;
-    const highScoreKey = 'breakout_high_scores_v1';
-    let highScores = [];
-    try {
-      const raw = localStorage.getItem(highScoreKey);
-      if (raw) highScores = JSON.parse(raw);
-      if (!Array.isArray(highScores)) highScores = [];
-    } catch { highScores = []; }
-    function saveHighScores() {
-      try { localStorage.setItem(highScoreKey, JSON.stringify(highScores.slice(0, 100))); } catch {}
-    }
     const bricks = [];
     const interiorWidth = cols - 2;
-    const brickW = 7;
-    const brickRows = 4;
-    const bricksPerRow = Math.floor(interiorWidth / brickW);
-    const bricksStartX = 1 + Math.floor((interiorWidth - bricksPerRow * brickW) / 2);
-    const bricksStartY = 2;
+    let brickRows = 0;
+    let levelIndex = startLevel;
 
-    function createBricks() {
+    // Narrower levels are centred; each grid cell becomes one brick
+    function loadLevel(index) {
+      const { grid } = levels[index];
+      const gridWidth = Math.max(...grid.map(row => row.length));
+      const bricksStartX = 1 + Math.floor((interiorWidth - gridWidth * brickW) / 2);
       bricks.length = 0;
-      for (let r = 0; r < brickRows; r++) {
-        const y = bricksStartY + r;
-        for (let c = 0; c < bricksPerRow; c++) {
-          const x = bricksStartX + c * brickW;
-          bricks.push({ x, y, w: brickW, alive: true });
-        }
-      }
+      brickRows = grid.length;
+      grid.forEach((row, r) => {
+        row.forEach((cell, c) => {
+          if (!cell) return;
+          const { hits, points } = breakoutBricks[cell];
+          bricks.push({ x: bricksStartX + c * brickW, y: bricksStartY + r, w: brickW, hits, points });
+        });
+      });
     }
 
-    function bricksRemaining() { return bricks.some(b => b.alive); }
+    function bricksRemaining() { return bricks.some(b => b.hits > 0); }
 
     function drawBricks(buffer) {
       for (const b of bricks) {
-        if (!b.alive) continue;
-        const row = buffer[b.y];
-        const brickStr = '#'.repeat(b.w);
-        buffer[b.y] = row.slice(0, b.x) + brickStr + row.slice(b.x + b.w);
+        if (b.hits <= 0) continue;
+        const x = viewX(b.x);
+        const ch = breakoutHitChars[Math.min(b.hits, breakoutHitChars.length) - 1];
+        putText(buffer, viewY(b.y), x, ch.repeat(Math.max(1, viewX(b.x + b.w) - x)));
       }
     }
 
-    function hitBrickAtCell(x, y) {
+    function hitBrickAtCell(ball, x, y) {
       for (const b of bricks) {
-        if (!b.alive) continue;
+        if (b.hits <= 0) continue;
         if (y === b.y && x >= b.x && x < b.x + b.w) {
-          b.alive = false;
-          score += 1;
+          b.hits -= 1;
+          if (b.hits === 0) {
+            score += b.points;
+            if (rng() < breakoutPowerUpChance) {
+              const kinds = Object.keys(breakoutPowerUps);
+              powerUps.push({ kind: kinds[Math.floor(rng() * kinds.length)], x: b.x + Math.floor(b.w / 2) - 1, y: b.y });
+            }
+          }
           // Slightly increase speed to keep things lively
           const speedCap = 26;
           if (Math.abs(ball.vx) < speedCap) ball.vx *= 1.03;
@@ -302,35 +3995,49 @@
       return false;
     }
 
+    function serveBall() {
+      return { x: paddle.x + paddle.w / 2, y: paddle.y - 1, vx: 18, vy: -18, trailX: null, trailY: null };
+    }
+
     function resetPositions() {
+      paddle.w = paddleWidth;
       paddle.x = (cols - paddle.w) / 2;
-      ball.x = paddle.x + paddle.w / 2;
-      ball.y = paddle.y - 1;
-      ball.vx = 18; ball.vy = -18;
+      balls = [serveBall()];
+      powerUps = [];
+      for (const key of Object.keys(effects)) effects[key] = 0;
     }
 
-    createBricks();
-    resetPositions();
+    // Sticky balls ride the paddle until Space launches them
+    function releaseBalls() {
+      for (const ball of balls) delete ball.stuckAt;
+    }
 
-    let lastTs = performance.now();
-    let accumulator = 0;
-    const fixedDt = 1 / 60; // 60 FPS physics
-    let raf = null;
-    let lastFrame = '';
-    let prevBallX = Math.floor(ball.x + 0.5);
-    let prevBallY = Math.floor(ball.y + 0.5);
-
-    function simulate(dt) {
-      if (paused) return;
-      // Move paddle
-      if (keyState.left) paddle.x -= paddle.speed * dt;
-      if (keyState.right) paddle.x += paddle.speed * dt;
-      if (paddle.x < 1) paddle.x = 1; // inside walls
-      if (paddle.x + paddle.w > cols - 1) paddle.x = cols - 1 - paddle.w;
+    function applyPowerUp(kind) {
+      if (kind === 'multi') {
+        const source = balls[0];
+        for (const turn of [-0.5, 0.5]) {
+          const speed = Math.hypot(source.vx, source.vy);
+          const angle = Math.atan2(source.vx, -source.vy) + turn;
+          balls.push({ x: source.x, y: source.y, vx: speed * Math.sin(angle), vy: -Math.abs(speed * Math.cos(angle)), trailX: null, trailY: null });
+        }
+        return;
+      }
+      effects[kind] = breakoutPowerUps[kind].seconds;
+    }
 
-      // Move ball
-      ball.x += ball.vx * dt;
-      ball.y += ball.vy * dt;
+    beginRun();
+    loadLevel(levelIndex);
+    resetPositions();
+
+    function moveBall(ball, dt) {
+      if (ball.stuckAt !== undefined) {
+        ball.x = paddle.x + ball.stuckAt;
+        ball.y = paddle.y - 1;
+        return;
+      }
+      const speedScale = effects.slow > 0 ? 0.6 : 1;
+      ball.x += ball.vx * dt * speedScale;
+      ball.y += ball.vy * dt * speedScale;
 
       // Collide with walls (inside borders)
       if (ball.x <= 1) { ball.x = 1; ball.vx *= -1; }
@@ -352,6 +4059,7 @@
           ball.vx = newSpeed * Math.sin(angle);
           ball.vy = -Math.abs(newSpeed * Math.cos(angle));
           ball.y = paddleTop - 1;
+          if (effects.sticky > 0) ball.stuckAt = ball.x - paddle.x;
         }
       }
 
@@ -359,156 +4067,797 @@
       const bx = Math.floor(ball.x + 0.5);
       const by = Math.floor(ball.y + 0.5);
       if (by >= bricksStartY && by < bricksStartY + brickRows) {
-        if (hitBrickAtCell(bx, by)) {
-          ball.vy *= -1;
-          if (!bricksRemaining()) {
-            createBricks();
-          }
+        if (hitBrickAtCell(ball, bx, by)) ball.vy *= -1;
+      }
+    }
+
+    // A replay ends when its inputs run out, or at game over like the run it recorded
+    function finishReplay() {
+      const verdict = score === replay.score ? 'matches the recording' : `recording says ${replay.score}`;
+      host.finish(`REPLAY FINISHED - score ${score} ${verdict}`);
+    }
+
+    function tick(dt) {
+      const input = nextInput();
+      if (input === null) {
+        finishReplay();
+        return;
+      }
+      recording.ticks++;
+      if (input & 4) releaseBalls();
+      for (const key of Object.keys(effects)) effects[key] = Math.max(0, effects[key] - dt);
+      if (effects.sticky === 0) releaseBalls();
+
+      // Move paddle, keeping its centre when a wide paddle power-up starts or ends
+      const width = effects.wide > 0 ? breakoutPowerUps.wide.width : paddleWidth;
+      paddle.x -= (width - paddle.w) / 2;
+      paddle.w = width;
+      if (input & 1) paddle.x -= paddle.speed * dt;
+      if (input & 2) paddle.x += paddle.speed * dt;
+      if (paddle.x < 1) paddle.x = 1; // inside walls
+      if (paddle.x + paddle.w > cols - 1) paddle.x = cols - 1 - paddle.w;
+
+      for (const ball of balls) moveBall(ball, dt);
+      if (!bricksRemaining()) {
+        levelIndex = (levelIndex + 1) % levels.length;
+        loadLevel(levelIndex);
+        resetPositions();
+        return;
+      }
+
+      // Power-ups fall and are caught anywhere on the paddle
+      for (const powerUp of powerUps) {
+        powerUp.y += breakoutPowerUpSpeed * dt;
+        const caught = powerUp.y >= paddle.y - 0.5 && powerUp.y <= paddle.y + 0.5
+          && powerUp.x + 3 > paddle.x && powerUp.x < paddle.x + paddle.w;
+        if (caught) {
+          powerUp.caught = true;
+          applyPowerUp(powerUp.kind);
+        }
+      }
+      powerUps = powerUps.filter(p => !p.caught && p.y < rows - 1);
+
+      // A life is lost once every ball has dropped below the field
+      balls = balls.filter(ball => ball.y <= rows - 2);
+      if (!balls.length) {
+        lives -= 1;
+        if (lives > 0) {
+          resetPositions();
+        } else if (replay) {
+          finishReplay();
+        } else {
+          recording.score = score;
+          const finished = recording;
+          host.gameOver({
+            score,
+            level: levelIndex + 1,
+            saveReplay: () => saveBreakoutRecording(finished),
+            note: 'saving the score also keeps a replay in ~/replays',
+          });
+        }
+      }
+    }
+
+    function render() {
+      const active = Object.keys(effects)
+        .filter(key => effects[key] > 0)
+        .map(key => `${breakoutPowerUps[key].label} ${Math.ceil(effects[key])}s`);
+      const buffer = createGameFrame(view.cols, view.rows, {
+        top: `${replay ? 'REPLAY  ' : ''}SCORE ${score}  LIVES ${lives}  LEVEL ${levelIndex + 1}/${levels.length}`,
+        bottom: active.join('  '),
+      });
+
+      // Draw bricks
+      drawBricks(buffer);
+
+      // Draw power-ups as <W>, <M>, <S> or <C>
+      for (const powerUp of powerUps) {
+        putText(buffer, viewY(Math.floor(powerUp.y + 0.5)), viewX(powerUp.x), `<${breakoutPowerUps[powerUp.kind].glyph}>`);
+      }
+
+      // Draw paddle with '=' characters
+      const px = viewX(Math.floor(paddle.x + 0.5));
+      putText(buffer, viewY(paddle.y), px, '='.repeat(Math.max(1, viewX(paddle.x + paddle.w) - px)));
+
+      // Draw each ball as 'o' and a faint trail '.' at its previous position
+      for (const ball of balls) {
+        const bx = viewX(Math.floor(ball.x + 0.5));
+        const by = viewY(Math.floor(ball.y + 0.5));
+        putText(buffer, by, bx, 'o');
+        if (ball.trailX !== bx || ball.trailY !== by) {
+          const { trailX, trailY } = ball;
+          // Only draw trail where it doesn't overwrite walls, bricks or the paddle
+          if (trailY > 0 && trailY < view.rows - 1 && buffer[trailY][trailX] === ' ') putText(buffer, trailY, trailX, '.');
+          ball.trailX = bx; ball.trailY = by;
+        }
+      }
+      return buffer;
+    }
+
+    function legend() {
+      return [
+        ' POWER-UPS',
+        '',
+        ...Object.values(breakoutPowerUps).map(powerUp => ` <${powerUp.glyph}> ${powerUp.description}`),
+        '',
+        ' BRICKS',
+        '',
+        ...breakoutHitChars.map((ch, i) => ` ${ch.repeat(3)} ${i + 1} hit${i ? 's' : ''}`),
+      ];
+    }
+
+    function restart() {
+      beginRun();
+      score = 0;
+      lives = startLives;
+      levelIndex = startLevel;
+      loadLevel(levelIndex);
+      resetPositions();
+    }
+
+    return { tick, render, restart, keydown, keyup, pointer, legend };
+  }
+
+  // Snake: eat to grow and don't hit the walls or yourself. Cells are two characters wide so the
+  // board looks square; the snake speeds up every five bites.
+  const snakeLayout = { width: 30, height: 20 };
+  const snakeDirections = {
+    ArrowUp: [0, -1], w: [0, -1],
+    ArrowDown: [0, 1], s: [0, 1],
+    ArrowLeft: [-1, 0], a: [-1, 0],
+    ArrowRight: [1, 0], d: [1, 0],
+  };
+
+  // Registered by the preinstalled snake package
+  function loadSnake() {
+    registerGame('snake', {
+      title: 'Snake',
+      cols: snakeLayout.width * 2 + 2,
+      rows: snakeLayout.height + 2,
+      controls: [' Arrows or WASD turn'],
+      create: createSnake,
+    }, 'Play Snake', {
+      examples: ['./snake'],
+    });
+  }
+
+  function createSnake(host) {
+    const { width, height } = snakeLayout;
+    let body;
+    let direction;
+    // Turns pressed faster than the snake steps are queued, so a quick U-turn still works
+    let turns;
+    let started;
+    let food;
+    let score;
+    let eaten;
+    let stepTimer;
+
+    function level() {
+      return 1 + Math.floor(eaten / 5);
+    }
+
+    function placeFood() {
+      const free = [];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (!body.some(part => part.x === x && part.y === y)) free.push({ x, y });
+        }
+      }
+      food = free.length ? free[Math.floor(Math.random() * free.length)] : null;
+    }
+
+    function restart() {
+      const y = Math.floor(height / 2);
+      body = [{ x: 6, y }, { x: 5, y }, { x: 4, y }];
+      direction = [1, 0];
+      turns = [];
+      started = false;
+      score = 0;
+      eaten = 0;
+      stepTimer = 0;
+      placeFood();
+    }
+
+    // Reversing into the body is ignored; the first turn starts the game
+    function turn(next) {
+      const last = turns.length ? turns[turns.length - 1] : direction;
+      if (last[0] === -next[0] && last[1] === -next[1]) return;
+      started = true;
+      if ((last[0] !== next[0] || last[1] !== next[1]) && turns.length < 2) turns.push(next);
+    }
+
+    function tick(dt) {
+      if (!started) return;
+      const interval = Math.max(0.05, 0.14 - (level() - 1) * 0.01);
+      stepTimer += dt;
+      if (stepTimer < interval) return;
+      stepTimer -= interval;
+      if (turns.length) direction = turns.shift();
+
+      const head = { x: body[0].x + direction[0], y: body[0].y + direction[1] };
+      const grows = food && head.x === food.x && head.y === food.y;
+      // The tail moves out of the way this step unless the snake is growing
+      const solid = grows ? body : body.slice(0, -1);
+      const crashed = head.x < 0 || head.x >= width || head.y < 0 || head.y >= height
+        || solid.some(part => part.x === head.x && part.y === head.y);
+      if (crashed) {
+        host.gameOver({ score, level: level() });
+        return;
+      }
+      body.unshift(head);
+      if (!grows) {
+        body.pop();
+        return;
+      }
+      score += level();
+      eaten += 1;
+      placeFood();
+      if (!food) host.gameOver({ score, level: level() });
+    }
+
+    function render() {
+      const frame = createGameFrame(width * 2 + 2, height + 2, {
+        top: `SCORE ${score}  LENGTH ${body.length}  LEVEL ${level()}`,
+      });
+      if (food) putText(frame, food.y + 1, food.x * 2 + 1, '**');
+      body.forEach((part, i) => putText(frame, part.y + 1, part.x * 2 + 1, i ? '[]' : '@@'));
+      if (!started) putCentered(frame, 4, ' Press an arrow key to start ');
+      return frame;
+    }
+
+    function keydown(e) {
+      const next = snakeDirections[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+      if (!next) return false;
+      turn(next);
+      return true;
+    }
+
+    // Swipes turn along their longer axis; a row is about twice as tall as a column is wide
+    function pointer({ type, tap, dx, dy }) {
+      if (type !== 'end' || tap) return;
+      if (Math.abs(dx) > Math.abs(dy) * 2) turn([Math.sign(dx), 0]);
+      else if (dy) turn([0, Math.sign(dy)]);
+    }
+
+    function legend() {
+      return [' ** food, worth your level', ' faster every 5 bites'];
+    }
+
+    restart();
+    return { tick, render, restart, keydown, pointer, legend };
+  }
+
+  // Tetris: a 10x20 well with the next piece and the stats beside it. Pieces come from a shuffled
+  // bag of all seven, and every ten lines raise the level and the fall speed.
+  const tetrisWell = { width: 10, height: 20 };
+  const tetrisInfoCols = 12;
+  // Spawn orientation of each piece inside its rotation box
+  const tetrisPieces = {
+    I: ['    ', 'XXXX', '    ', '    '],
+    O: ['XX', 'XX'],
+    T: [' X ', 'XXX', '   '],
+    S: [' XX', 'XX ', '   '],
+    Z: ['XX ', ' XX', '   '],
+    J: ['X  ', 'XXX', '   '],
+    L: ['  X', 'XXX', '   '],
+  };
+  // Points for clearing 1-4 lines at once, multiplied by the level
+  const tetrisLinePoints = [0, 100, 300, 500, 800];
+
+  // Registered by the preinstalled tetris package
+  function loadTetris() {
+    registerGame('tetris', {
+      title: 'Tetris',
+      cols: tetrisWell.width * 2 + tetrisInfoCols + 3,
+      rows: tetrisWell.height + 2,
+      controls: [' Arrows move  Up rotate', ' Down drop  Space slam'],
+      create: createTetris,
+    }, 'Play Tetris', {
+      examples: ['./tetris'],
+    });
+  }
+
+  function createTetris(host) {
+    const { width, height } = tetrisWell;
+    let well;
+    let bag;
+    let piece;
+    let nextKind;
+    let score;
+    let lines;
+    let fallTimer;
+    let softDrop = false;
+
+    function level() {
+      return 1 + Math.floor(lines / 10);
+    }
+
+    function drawKind() {
+      if (!bag.length) {
+        bag = Object.keys(tetrisPieces);
+        for (let i = bag.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [bag[i], bag[j]] = [bag[j], bag[i]];
+        }
+      }
+      return bag.pop();
+    }
+
+    function pieceCells(kind) {
+      return tetrisPieces[kind].flatMap((row, y) => Array.from(row).flatMap((ch, x) => (ch === 'X' ? [[x, y]] : [])));
+    }
+
+    function fits(cells, x, y) {
+      return cells.every(([cx, cy]) => {
+        const col = x + cx;
+        const row = y + cy;
+        return col >= 0 && col < width && row >= 0 && row < height && !well[row][col];
+      });
+    }
+
+    // Returns false when the new piece has no room, which ends the game
+    function spawn() {
+      const kind = nextKind;
+      nextKind = drawKind();
+      const size = tetrisPieces[kind].length;
+      piece = { kind, cells: pieceCells(kind), x: Math.floor((width - size) / 2), y: 0 };
+      return fits(piece.cells, piece.x, piece.y);
+    }
+
+    function restart() {
+      well = Array.from({ length: height }, () => new Array(width).fill(false));
+      bag = [];
+      nextKind = drawKind();
+      score = 0;
+      lines = 0;
+      fallTimer = 0;
+      spawn();
+    }
+
+    function shift(dx) {
+      if (fits(piece.cells, piece.x + dx, piece.y)) piece.x += dx;
+    }
+
+    // Rotates inside the piece's box, nudging it sideways when it would overlap a wall or the stack
+    function rotate(direction) {
+      const size = tetrisPieces[piece.kind].length;
+      const cells = piece.cells.map(([x, y]) => (direction > 0 ? [size - 1 - y, x] : [y, size - 1 - x]));
+      for (const kick of [0, -1, 1, -2, 2]) {
+        if (fits(cells, piece.x + kick, piece.y)) {
+          piece.cells = cells;
+          piece.x += kick;
+          return;
         }
       }
+    }
+
+    function lock() {
+      for (const [x, y] of piece.cells) well[piece.y + y][piece.x + x] = true;
+      const kept = well.filter(row => !row.every(Boolean));
+      const cleared = height - kept.length;
+      score += tetrisLinePoints[cleared] * level();
+      lines += cleared;
+      well = [...Array.from({ length: cleared }, () => new Array(width).fill(false)), ...kept];
+      fallTimer = 0;
+      if (!spawn()) host.gameOver({ score, level: level() });
+    }
+
+    // Moves the piece down a row, locking it when it lands; soft and hard drops score per row
+    function fall(points = 0) {
+      if (!fits(piece.cells, piece.x, piece.y + 1)) {
+        lock();
+        return false;
+      }
+      piece.y += 1;
+      score += points;
+      return true;
+    }
+
+    function slam() {
+      while (fall(2));
+    }
+
+    function tick(dt) {
+      const interval = softDrop ? 0.05 : Math.max(0.05, 0.8 - (level() - 1) * 0.07);
+      fallTimer += dt;
+      if (fallTimer < interval) return;
+      fallTimer -= interval;
+      fall(softDrop ? 1 : 0);
+    }
+
+    function render() {
+      const wellCols = width * 2;
+      const frame = createGameFrame(wellCols + tetrisInfoCols + 3, height + 2);
+      // Split the frame into the well and the info column
+      frame.forEach((row, r) => {
+        const ch = r === 0 || r === frame.length - 1 ? '+' : '|';
+        frame[r] = row.slice(0, wellCols + 1) + ch + row.slice(wellCols + 2);
+      });
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) putText(frame, y + 1, x * 2 + 1, well[y][x] ? '[]' : ' .');
+      }
+      for (const [x, y] of piece.cells) putText(frame, piece.y + y + 1, (piece.x + x) * 2 + 1, '[]');
+
+      const info = wellCols + 3;
+      putText(frame, 2, info, 'NEXT');
+      for (const [x, y] of pieceCells(nextKind)) putText(frame, 4 + y, info + x * 2, '[]');
+      [['SCORE', score], ['LINES', lines], ['LEVEL', level()]].forEach(([label, value], i) => {
+        putText(frame, 8 + i * 3, info, label);
+        putText(frame, 9 + i * 3, info, String(value));
+      });
+      return frame;
+    }
+
+    function keydown(e) {
+      switch (e.key) {
+        case 'ArrowLeft': shift(-1); break;
+        case 'ArrowRight': shift(1); break;
+        case 'ArrowUp': case 'x': case 'X': rotate(1); break;
+        case 'z': case 'Z': rotate(-1); break;
+        case 'ArrowDown': softDrop = true; break;
+        case ' ': slam(); break;
+        default: return false;
+      }
+      return true;
+    }
+
+    function keyup(e) {
+      if (e.key === 'ArrowDown') softDrop = false;
+    }
 
-      // Lose condition: ball below field
-      if (ball.y > rows - 2) {
-        paused = true;
-        awaitingSave = true;
+    // A tap rotates; swipes move sideways a cell per two columns, or slam the piece down
+    function pointer({ type, tap, dx, dy }) {
+      if (type !== 'end') return;
+      if (!tap && Math.abs(dx) > Math.abs(dy) * 2) {
+        for (let i = 0; i < Math.abs(Math.round(dx / 2)); i++) shift(Math.sign(dx));
+      } else if (!tap && dy > 0) {
+        slam();
+      } else {
+        rotate(1);
       }
     }
 
-    function render() {
-      const buffer = new Array(rows);
-      for (let r = 0; r < rows; r++) {
-        if (r === topWall) {
-          let top = '+' + '-'.repeat(cols - 2) + '+';
-          const label = ` SCORE ${score} `;
-          const start = 3;
-          if (label.length < cols - 2 - start) {
-            top = top.slice(0, start) + label + top.slice(start + label.length);
-          }
-          buffer[r] = top;
-        } else if (r === bottomWall) {
-          buffer[r] = '+' + '-'.repeat(cols - 2) + '+';
-        } else {
-          buffer[r] = '|' + ' '.repeat(cols - 2) + '|';
-        }
-      }
+    restart();
+    return { tick, render, restart, keydown, keyup, pointer };
+  }
 
-      // Draw bricks
-      drawBricks(buffer);
+  // Package manager. The manifest is the whole repository: each package lists the commands and
+  // themes it provides and the packages it depends on. `load` registers them once it is installed,
+  // at install time or on startup, and `unload` takes them away again (by default unregistering
+  // `provides`). Base packages come with the shell, are loaded on every visit and cannot be removed.
+  const packageManifest = {
+    'adrian-shell': { version: '1.0.0', description: 'The shell you are using right now', size: 8.4, base: true, provides: [] },
+    snake: { version: '1.0.0', description: 'Snake for the ASCII game host', size: 0.4, base: true, provides: ['./snake'], load: loadSnake },
+    tetris: { version: '1.0.0', description: 'Falling blocks for the ASCII game host', size: 0.6, base: true, provides: ['./tetris'], load: loadTetris },
+    'theme-nord': {
+      version: '0.19',
+      description: 'Arctic, north-bluish color theme',
+      size: 0.1,
+      provides: [],
+      themes: ['nord'],
+      load: () => registerTheme('nord', packagedThemes.nord),
+      unload: () => unregisterTheme('nord'),
+    },
+    'theme-monokai': {
+      version: '1.1.0',
+      description: 'The classic Monokai color theme',
+      size: 0.1,
+      provides: [],
+      themes: ['monokai'],
+      load: () => registerTheme('monokai', packagedThemes.monokai),
+      unload: () => unregisterTheme('monokai'),
+    },
+    themes: { version: '1.0.0', description: 'Every optional color theme (meta package)', size: 0, depends: ['theme-nord', 'theme-monokai'], provides: [] },
+    cowsay: { version: '3.04', description: 'Configurable talking cow', size: 0.1, provides: ['cowsay'], load: loadCowsay },
+    fortune: { version: '2.0.0', description: 'Print a random, hopefully interesting, adage', size: 1.2, provides: ['fortune'], load: loadFortune },
+  };
+  // Color themes shipped as packages; registerTheme adds them next to the built-in ones
+  const packagedThemes = {
+    nord: {
+      description: 'Arctic, north-bluish',
+      colors: { bg: '#2e3440', glow: '#333a47', panel: '#3b4252', text: '#d8dee9', muted: '#7b88a1', green: '#a3be8c', blue: '#81a1c1', yellow: '#ebcb8b', red: '#bf616a', cyan: '#88c0d0' },
+    },
+    monokai: {
+      description: 'Monokai classic',
+      colors: { bg: '#272822', glow: '#2d2e27', panel: '#3e3d32', text: '#f8f8f2', muted: '#75715e', green: '#a6e22e', blue: '#66d9ef', yellow: '#e6db74', red: '#f92672', cyan: '#a1efe4' },
+    },
+  };
+  const packagesKey = 'adrian_shell_packages_v1';
+  const packageRepo = 'extra';
+  const packageDownloadSpeed = 23.5; // MiB/s
+  const installedPackages = new Set(loadInstalledPackages());
 
-      // Draw paddle with '=' characters
-      const px = Math.floor(paddle.x + 0.5);
-      const py = paddle.y;
-      const paddleStr = '='.repeat(paddle.w);
-      buffer[py] = buffer[py].slice(0, px) + paddleStr + buffer[py].slice(px + paddle.w);
+  function loadInstalledPackages() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(packagesKey) || '[]');
+      return Array.isArray(stored) ? stored.filter(name => packageManifest[name] && !packageManifest[name].base) : [];
+    } catch { return []; }
+  }
 
-      // Draw ball as 'o' and a faint trail '.' at previous position
-      const bx = Math.floor(ball.x + 0.5);
-      const by = Math.floor(ball.y + 0.5);
-      if (by > 0 && by < rows - 1 && bx > 0 && bx < cols - 1) {
-        buffer[by] = buffer[by].slice(0, bx) + 'o' + buffer[by].slice(bx + 1);
-      }
-      if (prevBallX !== bx || prevBallY !== by) {
-        if (prevBallY > 0 && prevBallY < rows - 1 && prevBallX > 0 && prevBallX < cols - 1) {
-          // Only draw trail if it doesn't overwrite walls or paddle row edges
-          buffer[prevBallY] = buffer[prevBallY].slice(0, prevBallX) + '.' + buffer[prevBallY].slice(prevBallX + 1);
-        }
-        prevBallX = bx; prevBallY = by;
-      }
-
-      // Prompts
-      if (awaitingSave) {
-        const msg = ' GAME OVER - Save score? (y/n) ';
-        const r = Math.floor(rows / 2);
-        const start = Math.max(1, Math.floor((cols - msg.length) / 2));
-        buffer[r] = buffer[r].slice(0, start) + msg + buffer[r].slice(start + msg.length);
-      } else if (awaitingName) {
-        const msg = ` Enter name: ${nameBuffer}_`;
-        const r = Math.floor(rows / 2);
-        const start = Math.max(1, Math.floor((cols - msg.length) / 2));
-        buffer[r] = buffer[r].slice(0, start) + msg + buffer[r].slice(start + msg.length);
-      }
-
-      // Build right-side high score panel
-      const scoreCols = 28;
-      const panel = new Array(rows).fill(' '.repeat(scoreCols));
-      function putPanelLine(rowIndex, text) {
-        if (rowIndex < 0 || rowIndex >= rows) return;
-        const t = (text || '').slice(0, scoreCols);
-        panel[rowIndex] = t + ' '.repeat(Math.max(0, scoreCols - t.length));
-      }
-      putPanelLine(0, '');
-      putPanelLine(1, ' HIGH SCORES');
-      const top = [...highScores].sort((a,b) => b.score - a.score).slice(0, 10);
-      for (let i = 0; i < 10; i++) {
-        const entry = top[i];
-        const rank = String(i + 1).padStart(2, ' ');
-        if (entry) {
-          const name = entry.name.length > 16 ? entry.name.slice(0, 16) : entry.name;
-          const scoreStr = String(entry.score);
-          const line = `${rank}. ${name.padEnd(16, ' ')} ${scoreStr.padStart(6, ' ')}`;
-          putPanelLine(3 + i, line);
-        } else {
-          putPanelLine(3 + i, `${rank}.`);
-        }
-      }
+  function saveInstalledPackages() {
+    try { localStorage.setItem(packagesKey, JSON.stringify(Array.from(installedPackages))); } catch {}
+  }
+
+  function isInstalled(name) {
+    return Boolean(packageManifest[name] && (packageManifest[name].base || installedPackages.has(name)));
+  }
+
+  function packageLabel(name) {
+    return `${name}-${packageManifest[name].version}`;
+  }
+
+  // Returns every package the targets need, dependencies before the packages that need them
+  function resolvePackages(targets) {
+    const order = [];
+    const visit = (name, requiredBy) => {
+      if (order.includes(name)) return;
+      const pkg = packageManifest[name];
+      if (!pkg) throw new Error(requiredBy ? `unable to satisfy dependency '${name}' required by ${requiredBy}` : `target not found: ${name}`);
+      for (const dep of pkg.depends || []) visit(dep, name);
+      order.push(name);
+    };
+    for (const name of targets) visit(name);
+    return order;
+  }
+
+  async function installPackages(targets, { stdout, stderr, signal }) {
+    let order;
+    try {
+      order = resolvePackages(targets);
+    } catch (err) {
+      stderr.print(`error: ${err.message}`);
+      return 1;
+    }
+    for (const name of targets) {
+      if (isInstalled(name)) stderr.print(`warning: ${packageLabel(name)} is up to date -- skipping`, 'warn');
+    }
+    const pending = order.filter(name => !isInstalled(name));
+    if (!pending.length) {
+      stdout.print(' there is nothing to do');
+      return 0;
+    }
+    const totalSize = pending.reduce((sum, name) => sum + packageManifest[name].size, 0);
+    stdout.print('resolving dependencies...', 'dim');
+    stdout.print('looking for conflicting packages...', 'dim');
+    stdout.print('');
+    stdout.print(`Packages (${pending.length})  ${pending.map(packageLabel).join('  ')}`, 'info');
+    stdout.print('');
+    stdout.print(`Total Installed Size:  ${totalSize.toFixed(2)} MiB`, 'dim');
+    stdout.print('');
+    stdout.print(':: Proceed with installation? [Y/n]', 'cyan');
+    // Download bars only make sense on the terminal; Ctrl+C during a download installs nothing
+    for (const name of pending) {
+      const { size } = packageManifest[name];
+      if (!size) continue;
+      stdout.print(`downloading ${packageLabel(name)}...`, 'dim');
+      if (stdout.isTTY) await renderProgressLine(size, packageDownloadSpeed, 600, signal);
+    }
+    stdout.print('checking package integrity...', 'dim');
+    pending.forEach((name, i) => {
+      stdout.print(`(${i + 1}/${pending.length}) installing ${name}`, 'dim');
+      installedPackages.add(name);
+      if (packageManifest[name].load) packageManifest[name].load();
+    });
+    saveInstalledPackages();
+    renderHelpBox();
+    const added = pending.flatMap(name => packageManifest[name].provides);
+    if (added.length) stdout.print(`new commands: ${added.join(' ')}`, 'ok');
+    const themes = pending.flatMap(name => packageManifest[name].themes || []);
+    if (themes.length) stdout.print(`new themes: ${themes.join(' ')} (apply with theme <name>)`, 'ok');
+    return 0;
+  }
 
-      // Combine game buffer and panel
-      const combined = buffer.map((row, idx) => row + '  ' + panel[idx]);
-      const frame = combined.join('\n');
-      if (frame !== lastFrame) {
-        screen.textContent = frame;
-        lastFrame = frame;
+  function removePackages(targets, { stdout, stderr }) {
+    for (const name of targets) {
+      if (!isInstalled(name)) {
+        stderr.print(`error: target not found: ${name}`);
+        return 1;
+      }
+      if (packageManifest[name].base) {
+        stderr.print(`error: ${name} is part of the base system and cannot be removed`);
+        return 1;
+      }
+    }
+    // Like pacman, refuse to leave an installed package without one of its dependencies
+    for (const name of targets) {
+      const dependent = Array.from(installedPackages)
+        .find(other => !targets.includes(other) && (packageManifest[other].depends || []).includes(name));
+      if (dependent) {
+        stderr.print('error: failed to prepare transaction (could not satisfy dependencies)');
+        stderr.print(`:: removing ${name} breaks dependency '${name}' required by ${dependent}`);
+        return 1;
       }
     }
+    stdout.print('checking dependencies...', 'dim');
+    stdout.print('');
+    stdout.print(`Packages (${targets.length})  ${targets.map(packageLabel).join('  ')}`, 'info');
+    stdout.print('');
+    targets.forEach((name, i) => {
+      const pkg = packageManifest[name];
+      stdout.print(`(${i + 1}/${targets.length}) removing ${name}`, 'dim');
+      if (pkg.unload) pkg.unload();
+      else pkg.provides.forEach(unregisterCommand);
+      installedPackages.delete(name);
+    });
+    saveInstalledPackages();
+    renderHelpBox();
+    return 0;
+  }
 
-    function loop(ts) {
-      let dt = (ts - lastTs) / 1000;
-      if (dt > 0.25) dt = 0.25; // avoid big jumps on tab switch
-      lastTs = ts;
-      if (!paused) {
-        accumulator += dt;
+  function queryPackages(targets, { stdout, stderr }) {
+    const names = targets.length ? targets : Object.keys(packageManifest).filter(isInstalled);
+    let status = 0;
+    for (const name of names) {
+      if (isInstalled(name)) {
+        stdout.print(`${name} ${packageManifest[name].version}`);
       } else {
-        accumulator = 0;
+        stderr.print(`error: package '${name}' was not found`);
+        status = 1;
       }
-      while (accumulator >= fixedDt) {
-        simulate(fixedDt);
-        accumulator -= fixedDt;
-      }
-      render();
-      raf = requestAnimationFrame(loop);
     }
-    raf = requestAnimationFrame(loop);
+    return status;
+  }
 
-    function restartGame() {
-      score = 0;
-      createBricks();
-      resetPositions();
-      paused = false;
-      awaitingSave = false;
-      awaitingName = false;
-      nameBuffer = '';
+  // Every term is a case-insensitive regex that must match the name or the description
+  function searchPackages(terms, { stdout }, { installedOnly = false } = {}) {
+    let patterns;
+    try {
+      patterns = terms.map(term => new RegExp(term, 'i'));
+    } catch (err) {
+      throw usageError(`invalid regular expression: ${err.message}`);
     }
+    const matches = Object.keys(packageManifest)
+      .filter(name => !installedOnly || isInstalled(name))
+      .filter(name => patterns.every(p => p.test(name) || p.test(packageManifest[name].description)));
+    for (const name of matches) {
+      const { version, description } = packageManifest[name];
+      const tag = !installedOnly && isInstalled(name) ? ' [installed]' : '';
+      stdout.print(`${installedOnly ? 'local' : packageRepo}/${name} ${version}${tag}`);
+      stdout.print(`    ${description}`, 'dim');
+    }
+    return matches.length ? 0 : 1;
+  }
+
+  registerCommand('pacman', (args, ctx) => {
+    const { opts } = ctx;
+    const operations = ['S', 'R', 'Q'].filter(op => opts[op]);
+    if (operations.length !== 1) {
+      throw usageError(operations.length ? 'only one operation may be used at a time' : 'no operation specified');
+    }
+    if (opts.s && opts.R) throw usageError('-s only works with -S or -Q');
+    if (opts.s) return searchPackages(args, ctx, { installedOnly: Boolean(opts.Q) });
+    if (opts.Q) return queryPackages(args, ctx);
+    const targets = Array.from(new Set(args));
+    if (!targets.length) throw usageError('no targets specified');
+    return opts.S ? installPackages(targets, ctx) : removePackages(targets, ctx);
+  }, 'Install, remove and search optional packages', {
+    featured: true,
+    options: [
+      { short: 'S', long: 'sync', description: 'Install packages and their dependencies' },
+      { short: 'R', long: 'remove', description: 'Remove packages' },
+      { short: 'Q', long: 'query', description: 'List installed packages' },
+      { short: 's', long: 'search', description: 'With -S or -Q, search names and descriptions' },
+    ],
+    operands: [{ name: 'package', variadic: true }],
+    examples: ['pacman -Ss', 'pacman -Ss game', 'pacman -S themes', 'pacman -Q', 'pacman -R cowsay'],
+    complete: ({ args }) => (args.some(arg => /^-[a-zA-Z]*[RQ]/.test(arg))
+      ? Object.keys(packageManifest).filter(isInstalled)
+      : Object.keys(packageManifest)),
+  });
 
-    breakoutState = { gameBlock, screen, onKeyDown, onKeyUp, raf };
+  // cowsay: puts the arguments, or stdin, in a speech bubble above a cow
+  function loadCowsay() {
+    registerCommand('cowsay', (args, { stdin, stdout }) => {
+      const text = (args.length ? args.join(' ') : stdin || '').replace(/\s+$/, '');
+      const lines = [];
+      for (const paragraph of text.split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+          if (line && line.length + 1 + word.length > 40) {
+            lines.push(line);
+            line = '';
+          }
+          line = line ? `${line} ${word}` : word;
+        }
+        lines.push(line);
+      }
+      const width = Math.max(...lines.map(line => line.length));
+      const edges = lines.length === 1 ? [['<', '>']] : lines.map((line, i) => {
+        if (i === 0) return ['/', '\\'];
+        return i === lines.length - 1 ? ['\\', '/'] : ['|', '|'];
+      });
+      stdout.print(` ${'_'.repeat(width + 2)}`);
+      lines.forEach((line, i) => stdout.print(`${edges[i][0]} ${line.padEnd(width)} ${edges[i][1]}`));
+      stdout.print(` ${'-'.repeat(width + 2)}`);
+      [
+        '        \\   ^__^',
+        '         \\  (oo)\\_______',
+        '            (__)\\       )\\/\\',
+        '                ||----w |',
+        '                ||     ||',
+      ].forEach(line => stdout.print(line));
+    }, 'Let a cow say something', {
+      operands: [{ name: 'text', variadic: true }],
+      examples: ['cowsay hello', 'fortune | cowsay'],
+      complete: () => [],
+    });
   }
 
-  function endBreakout() {
-    if (!breakoutState) return;
-    const { gameBlock, onKeyDown, onKeyUp, raf } = breakoutState;
-    if (raf) cancelAnimationFrame(raf);
-    document.removeEventListener('keydown', onKeyDown);
-    document.removeEventListener('keyup', onKeyUp);
-    if (gameBlock && gameBlock.parentNode) gameBlock.parentNode.removeChild(gameBlock);
-    breakoutState = null;
-    enableInput();
-    printLine('Exited breakout', 'dim');
+  const fortunes = [
+    'There are only two hard things in computer science: cache invalidation and naming things.',
+    'Premature optimization is the root of all evil.',
+    'Make it work, make it right, make it fast.',
+    'Weeks of coding can save you hours of planning.',
+    'It works on my machine.',
+    'The best code is no code at all.',
+    'Any sufficiently advanced bug is indistinguishable from a feature.',
+    'Talk is cheap. Show me the code.',
+  ];
+
+  function loadFortune() {
+    registerCommand('fortune', (args, { stdout }) => {
+      stdout.print(fortunes[Math.floor(Math.random() * fortunes.length)]);
+    }, 'Print a random adage', {
+      examples: ['fortune', 'fortune | cowsay'],
+      complete: () => [],
+    });
   }
 
   // Input handling
-  let history = [];
-  let historyIndex = -1;
+  const historyKey = 'adrian_shell_history_v1';
+  const historySize = 500;
+  let history = loadHistory();
+  let historyIndex = history.length;
   let acceptingInput = false;
 
+  function loadHistory() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(historyKey) || '[]');
+      return Array.isArray(stored) ? stored.filter(entry => typeof entry === 'string').slice(-historySize) : [];
+    } catch { return []; }
+  }
+
+  function saveHistory() {
+    try { localStorage.setItem(historyKey, JSON.stringify(history)); } catch {}
+  }
+
+  // Skips consecutive duplicates like HISTCONTROL=ignoredups and keeps the newest `historySize` entries
+  function addHistoryEntry(line) {
+    if (history[history.length - 1] !== line) {
+      history.push(line);
+      if (history.length > historySize) history = history.slice(-historySize);
+      saveHistory();
+    }
+    historyIndex = history.length;
+  }
+
+  // Expands !!, !n, !-n and !prefix outside single quotes; throws when an event does not exist
+  function expandHistory(line) {
+    let out = '';
+    let inSingle = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === "'") inSingle = !inSingle;
+      if (ch === '\\' && !inSingle && i + 1 < line.length) { out += ch + line[++i]; continue; }
+      if (ch !== '!' || inSingle) { out += ch; continue; }
+
+      const rest = line.slice(i + 1);
+      const match = /^(!|-?\d+|[^\s!;|&<>()='"]+)/.exec(rest);
+      if (!match) { out += ch; continue; }
+      const designator = match[1];
+      let entry;
+      if (designator === '!') entry = history[history.length - 1];
+      else if (/^-\d+$/.test(designator)) entry = history[history.length + Number(designator)];
+      else if (/^\d+$/.test(designator)) entry = history[Number(designator) - 1];
+      else entry = [...history].reverse().find(h => h.startsWith(designator));
+      if (entry === undefined) throw new Error(`!${designator}: event not found`);
+      out += entry;
+      i += designator.length;
+    }
+    return out;
+  }
+
   function enableInput() {
     acceptingInput = true;
     inputEl.classList.add('cursor');
@@ -522,17 +4871,38 @@
     inputEl.setAttribute('contenteditable', 'false');
   }
 
-  function submitCurrentInput() {
+  // The running command's AbortController; input stays locked until the command settles
+  let runningJob = null;
+
+  async function submitCurrentInput() {
     const cmd = inputEl.textContent;
     inputEl.textContent = '';
     printPromptWithCommand(cmd);
-    history.push(cmd);
     historyIndex = history.length;
-    runCommand(cmd);
+    if (!cmd.trim()) return;
+
+    const job = new AbortController();
+    runningJob = job;
+    disableInput();
+    try {
+      await runCommand(cmd, job.signal, { interactive: true });
+    } finally {
+      runningJob = null;
+      enableInput();
+    }
   }
 
+  // Ctrl+C while a command runs aborts it; the input listener handles Ctrl+C at the prompt
+  document.addEventListener('keydown', (e) => {
+    if (!runningJob || !(e.key === 'c' && e.ctrlKey)) return;
+    e.preventDefault();
+    printLine('^C', 'warn');
+    runningJob.abort();
+  });
+
   inputEl.addEventListener('keydown', (e) => {
     if (!acceptingInput) { e.preventDefault(); return; }
+    if (reverseSearch && handleReverseSearchKey(e)) return;
     if (e.key === 'Enter') {
       e.preventDefault();
       submitCurrentInput();
@@ -546,9 +4916,18 @@
     if (e.key === 'c' && e.ctrlKey) {
       // Ctrl+C
       e.preventDefault();
-      const current = inputEl.textContent;
       printLine(`^C`, 'warn');
       inputEl.textContent = '';
+      lastStatus = 130;
+      return;
+    }
+    if (e.key === 'r' && e.ctrlKey) {
+      e.preventDefault();
+      startReverseSearch();
+      return;
+    }
+    if (handleLineEditingKey(e)) {
+      e.preventDefault();
       return;
     }
     if (e.key === 'ArrowUp') {
@@ -571,6 +4950,171 @@
     }
   });
 
+  // Emacs-style line editing. Killed text goes to a one-entry kill ring that Ctrl+Y yanks back.
+  let killRing = '';
+
+  function handleLineEditingKey(e) {
+    const text = inputEl.textContent;
+    const caret = getCaretOffset(inputEl);
+    if (e.ctrlKey && !e.altKey && !e.metaKey) {
+      switch (e.key) {
+        case 'a': setCaretOffset(inputEl, 0); return true;
+        case 'e': setCaretOffset(inputEl, text.length); return true;
+        case 'u':
+          killRing = text.slice(0, caret);
+          setInputText(text.slice(caret), 0);
+          return true;
+        case 'k':
+          killRing = text.slice(caret);
+          setInputText(text.slice(0, caret), caret);
+          return true;
+        case 'w': {
+          const start = findWordStart(text, caret, /\S/);
+          killRing = text.slice(start, caret);
+          setInputText(text.slice(0, start) + text.slice(caret), start);
+          return true;
+        }
+        case 'y':
+          setInputText(text.slice(0, caret) + killRing + text.slice(caret), caret + killRing.length);
+          return true;
+        case 'l':
+          clearOutput();
+          setCaretOffset(inputEl, caret);
+          return true;
+        default:
+          return false;
+      }
+    }
+    // Alt+letter is matched on e.code because macOS turns Option+B into a different e.key
+    if (e.altKey && !e.ctrlKey && !e.metaKey) {
+      if (e.code === 'KeyB') { setCaretOffset(inputEl, findWordStart(text, caret, /[A-Za-z0-9]/)); return true; }
+      if (e.code === 'KeyF') { setCaretOffset(inputEl, findWordEnd(text, caret, /[A-Za-z0-9]/)); return true; }
+      if (e.code === 'KeyD') {
+        const end = findWordEnd(text, caret, /[A-Za-z0-9]/);
+        killRing = text.slice(caret, end);
+        setInputText(text.slice(0, caret) + text.slice(end), caret);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Moves left past non-word characters, then past word characters
+  function findWordStart(text, from, wordChar) {
+    let i = from;
+    while (i > 0 && !wordChar.test(text[i - 1])) i--;
+    while (i > 0 && wordChar.test(text[i - 1])) i--;
+    return i;
+  }
+
+  function findWordEnd(text, from, wordChar) {
+    let i = from;
+    while (i < text.length && !wordChar.test(text[i])) i++;
+    while (i < text.length && wordChar.test(text[i])) i++;
+    return i;
+  }
+
+  function setInputText(text, caret) {
+    inputEl.textContent = text;
+    setCaretOffset(inputEl, caret);
+  }
+
+  function getCaretOffset(el) {
+    const sel = window.getSelection();
+    if (!sel.rangeCount || !el.contains(sel.focusNode)) return el.textContent.length;
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    range.setEnd(sel.focusNode, sel.focusOffset);
+    return range.toString().length;
+  }
+
+  function setCaretOffset(el, offset) {
+    el.focus();
+    if (!el.firstChild) el.appendChild(document.createTextNode(''));
+    const node = el.firstChild;
+    const range = document.createRange();
+    range.setStart(node, Math.max(0, Math.min(offset, node.textContent.length)));
+    range.collapse(true);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+
+  // Incremental Ctrl+R search over history. The prompt shows the query; the input shows the match.
+  let reverseSearch = null;
+
+  function startReverseSearch() {
+    if (reverseSearch) return;
+    reverseSearch = { query: '', index: history.length, original: inputEl.textContent, failed: false };
+    renderReverseSearch();
+  }
+
+  // Searches backwards from `from` (inclusive) for an entry containing the query
+  function findHistoryMatch(query, from) {
+    for (let i = Math.min(from, history.length - 1); i >= 0; i--) {
+      if (history[i].includes(query)) return i;
+    }
+    return -1;
+  }
+
+  function updateReverseSearch(from) {
+    const { query } = reverseSearch;
+    const index = query ? findHistoryMatch(query, from) : -1;
+    reverseSearch.failed = Boolean(query) && index === -1;
+    if (index !== -1) reverseSearch.index = index;
+    renderReverseSearch();
+  }
+
+  function renderReverseSearch() {
+    const { query, index, failed, original } = reverseSearch;
+    promptEl.textContent = `(${failed ? 'failed ' : ''}reverse-i-search)\`${query}':`;
+    const line = index < history.length ? history[index] : original;
+    const at = query && !failed ? line.indexOf(query) : line.length;
+    setInputText(line, Math.max(0, at));
+  }
+
+  function endReverseSearch(keepMatch) {
+    const { index, original } = reverseSearch;
+    const line = keepMatch && index < history.length ? history[index] : original;
+    reverseSearch = null;
+    updatePrompt();
+    setInputText(line, line.length);
+  }
+
+  // Returns true when the key was consumed by the search; other keys end the search and fall through
+  function handleReverseSearchKey(e) {
+    if (e.ctrlKey && e.key === 'r') {
+      e.preventDefault();
+      updateReverseSearch(reverseSearch.index - 1);
+      return true;
+    }
+    if ((e.ctrlKey && (e.key === 'g' || e.key === 'c'))) {
+      e.preventDefault();
+      endReverseSearch(false);
+      return true;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      endReverseSearch(true);
+      return true;
+    }
+    if (e.key === 'Backspace') {
+      e.preventDefault();
+      reverseSearch.query = reverseSearch.query.slice(0, -1);
+      updateReverseSearch(history.length - 1);
+      return true;
+    }
+    if (e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      e.preventDefault();
+      reverseSearch.query += e.key;
+      updateReverseSearch(reverseSearch.index);
+      return true;
+    }
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return true;
+    endReverseSearch(true);
+    return false;
+  }
+
   function placeCaretAtEnd(el) {
     el.focus();
     const range = document.createRange();
@@ -581,52 +5125,172 @@
     sel.addRange(range);
   }
 
+  // Tab completion. The word under the caret is completed as a command name in command position,
+  // otherwise by the command's own `complete` function, its declared options, or file paths.
   function handleTabComplete() {
-    const s = inputEl.textContent;
-    const hasTrailingSpace = /\s$/.test(s);
-    const segments = s.trim().length ? s.split(/\s+/) : [];
-    const isAtCommand = segments.length === 0 || (segments.length === 1 && !hasTrailingSpace);
-
-    const allCommands = Array.from(commands.keys());
-    const allFiles = files.map(f => f.name);
-
-    let headTokens;
-    let currentToken;
-    if (!segments.length) {
-      headTokens = [];
-      currentToken = '';
-    } else if (hasTrailingSpace) {
-      headTokens = segments;
-      currentToken = '';
-    } else {
-      headTokens = segments.slice(0, -1);
-      currentToken = segments[segments.length - 1];
-    }
-
-    const completingCommands = headTokens.length === 0;
-    const pool = completingCommands ? allCommands : allFiles;
-    const matches = currentToken ? pool.filter(x => x.startsWith(currentToken)) : pool.slice();
+    const text = inputEl.textContent;
+    const caret = getCaretOffset(inputEl);
+    const before = text.slice(0, caret);
+    const after = text.slice(caret);
+    const { words, current, redirectTarget } = splitForCompletion(before);
 
+    const candidates = getCompletions(words, current.value, redirectTarget);
+    const matches = Array.from(new Set(candidates.filter(c => c.startsWith(current.value)))).sort();
     if (matches.length === 0) {
       return;
     }
+
+    const replaceToken = (value, finished) => {
+      const quoted = quoteForCompletion(value, current.quote, finished);
+      const head = before.slice(0, current.start) + quoted + (finished && !after.startsWith(' ') ? ' ' : '');
+      setInputText(head + after, head.length);
+    };
+
     if (matches.length === 1) {
-      const filled = matches[0];
-      const newInput = [...headTokens, filled].join(' ') + ' ';
-      inputEl.textContent = newInput;
-      placeCaretAtEnd(inputEl);
+      replaceToken(matches[0], !matches[0].endsWith('/'));
       return;
     }
 
     const common = findCommonPrefix(matches);
-    if (common && common.length > currentToken.length) {
-      const newInput = [...headTokens, common].join(' ') + (hasTrailingSpace ? ' ' : '');
-      inputEl.textContent = newInput;
-      placeCaretAtEnd(inputEl);
+    if (common.length > current.value.length) {
+      replaceToken(common, false);
     } else {
-      // Show suggestions
-      printLine(matches.join('  '), 'dim');
+      // Show suggestions without the directory part that was already typed, like bash does
+      const typedDir = current.value.lastIndexOf('/') + 1;
+      const labels = matches.map(m => m.slice(typedDir));
+      for (const row of formatColumns(labels, getTerminalColumns())) printLine(escapeHtml(row), 'dim');
+    }
+  }
+
+  // Splits the text before the caret into the current command's finished words and the word being typed.
+  // `current.start` is where the raw (possibly quoted) word begins in the input.
+  function splitForCompletion(text) {
+    let words = [];
+    let redirectTarget = false;
+    let value = '';
+    let start = 0;
+    let quote = null;
+    let inWord = false;
+    const finishWord = () => {
+      if (!inWord) return;
+      if (redirectTarget) redirectTarget = false;
+      else words.push(value);
+      value = '';
+      inWord = false;
+    };
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+        else value += ch;
+        continue;
+      }
+      if (ch === ' ' || ch === '\t') { finishWord(); continue; }
+      if ('|;&<>'.includes(ch)) {
+        finishWord();
+        if (ch === '<' || ch === '>') redirectTarget = true;
+        else { words = []; redirectTarget = false; }
+        continue;
+      }
+      if (!inWord) { inWord = true; start = i; }
+      if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === '\\' && i + 1 < text.length) value += text[++i];
+      else value += ch;
+    }
+    if (!inWord) start = text.length;
+    return { words, current: { value, start, quote }, redirectTarget };
+  }
+
+  function quoteForCompletion(value, quote, finished) {
+    if (quote) return quote + value + (finished ? quote : '');
+    return value.replace(/([\s'"\\|;&<>$])/g, '\\$1');
+  }
+
+  function getCompletions(words, current, redirectTarget) {
+    if (redirectTarget) return completePaths(current);
+    if (current.startsWith('$')) return Array.from(shellVars.keys()).map(name => `$${name}`);
+    if (!words.length) {
+      const names = [...commands.keys(), ...aliases.keys(), ...shellFunctions.keys()];
+      return current.includes('/') ? [...names, ...completePaths(current)] : names;
+    }
+    const entry = commands.get(words[0]);
+    if (!entry) return completePaths(current);
+    if (current.startsWith('-') && entry.options) return optionFlags(entry.options);
+    if (entry.complete) return entry.complete({ args: words.slice(1), current });
+    return completePaths(current);
+  }
+
+  function optionFlags(options) {
+    return options.flatMap(o => [o.short && `-${o.short}`, o.long && `--${o.long}`].filter(Boolean));
+  }
+
+  // Lists paths under the directory part of `current`; directories end in `/`. Dotfiles need a leading dot.
+  function completePaths(current, { dirsOnly = false } = {}) {
+    const slash = current.lastIndexOf('/');
+    const dirPart = slash === -1 ? '' : current.slice(0, slash + 1);
+    const namePart = current.slice(slash + 1);
+    const dir = getNode(resolvePath(dirPart || '.'));
+    if (!dir || dir.type !== 'dir') return [];
+    const out = [];
+    for (const [name, node] of dir.children) {
+      if (name.startsWith('.') && !namePart.startsWith('.')) continue;
+      if (dirsOnly && node.type !== 'dir') continue;
+      out.push(dirPart + name + (node.type === 'dir' ? '/' : ''));
+    }
+    return out;
+  }
+
+  function completeDirs({ current }) {
+    return completePaths(current, { dirsOnly: true });
+  }
+
+  // Arranges items down then across in as many columns as fit `width` characters, like ls and bash.
+  // `format(item, padded)` can decorate each cell, e.g. to wrap it in a colored span.
+  function formatColumns(items, width, format = (item, padded) => padded) {
+    if (!items.length) return [];
+    const colWidth = Math.max(...items.map(item => item.length)) + 2;
+    const cols = Math.max(1, Math.floor(width / colWidth));
+    const rows = Math.ceil(items.length / cols);
+    const lines = [];
+    for (let r = 0; r < rows; r++) {
+      let line = '';
+      for (let c = 0; c < cols; c++) {
+        const item = items[c * rows + r];
+        if (item === undefined) continue;
+        const isLastInRow = c === cols - 1 || items[(c + 1) * rows + r] === undefined;
+        line += format(item, isLastInRow ? item : item.padEnd(colWidth, ' '));
+      }
+      lines.push(line);
     }
+    return lines;
+  }
+
+  // Measures one monospace character cell inside `parent` (the output area by default); zero when
+  // layout is unavailable
+  function measureCharSize(parent = outputEl, className = 'line') {
+    const probe = document.createElement('span');
+    probe.className = className;
+    probe.textContent = 'M'.repeat(10);
+    probe.style.visibility = 'hidden';
+    probe.style.position = 'absolute';
+    parent.appendChild(probe);
+    const rect = probe.getBoundingClientRect();
+    parent.removeChild(probe);
+    return { width: rect.width / 10, height: rect.height };
+  }
+
+  // How many characters fit across the output area; falls back to 80
+  function getTerminalColumns() {
+    const { width } = measureCharSize();
+    if (!width) return 80;
+    return Math.max(20, Math.floor(outputEl.clientWidth / width));
+  }
+
+  // How many lines fit in the output area; falls back to 24
+  function getTerminalRows() {
+    const { height } = measureCharSize();
+    if (!height) return 24;
+    return Math.max(8, Math.floor(outputEl.clientHeight / height));
   }
 
   function findCommonPrefix(arr) {
@@ -642,76 +5306,142 @@
     return prefix;
   }
 
-  // Boot sequence: type and run `sudo pacman -S adrian-shell`
+  // Boot script as data. A first visit plays `install` then `greeting`; later visits only the greeting.
+  // Steps: { type } echoes a command as if typed, { run } runs one, { print, className } prints a line
+  // and { progress: [totalMiB, speedMiBps, durationMs] } draws a download bar. Any step may also
+  // `wait` milliseconds afterwards, which is skipped when the visitor prefers reduced motion.
+  const bootScript = {
+    install: [
+      { type: 'sudo pacman -S adrian-shell', wait: 300 },
+      { print: '[sudo] password for adrian: ********', className: 'dim', wait: 350 },
+      // A stylized, condensed pacman-like sequence
+      { print: 'resolving dependencies...', className: 'dim', wait: 300 },
+      { print: 'looking for conflicting packages...', className: 'dim', wait: 250 },
+      { print: '' },
+      { print: 'Packages (1)  adrian-shell-1.0.0', className: 'info' },
+      { print: '' },
+      { print: 'Total Installed Size:  0.00 MiB', className: 'dim' },
+      { print: 'Net Upgrade Size:      0.00 MiB', className: 'dim', wait: 350 },
+      { print: '' },
+      { print: ':: Proceed with installation? [Y/n]', className: 'cyan', wait: 400 },
+      { print: 'checking keys in keyring...', className: 'dim', wait: 180 },
+      { print: 'checking package integrity...', className: 'dim', wait: 160 },
+      { print: 'loading package files...', className: 'dim', wait: 160 },
+      { print: 'checking for file conflicts...', className: 'dim', wait: 160 },
+      { print: 'checking available disk space...', className: 'dim', wait: 160 },
+      { print: 'downloading adrian-shell-1.0.0...', className: 'dim' },
+      { progress: [8.4, 23.5, 1800] },
+      // After install finishes, wait then clear the screen for the greeting
+      { print: 'adrian-shell installed', className: 'ok', wait: 2000 },
+      { type: 'clear' },
+      { run: 'clear', wait: 200 },
+    ],
+    greeting: [
+      { type: 'wtfetch' },
+      { run: 'wtfetch' },
+    ],
+  };
+  const bootTypingDelay = 45;
+  const bootSeenKey = 'adrian_shell_booted_v1';
+
+  // ?boot=skip|fast|full wins; otherwise visitors who have booted before get the fast boot
+  function getBootMode() {
+    const requested = new URLSearchParams(window.location.search).get('boot');
+    if (['skip', 'fast', 'full'].includes(requested)) return requested;
+    try {
+      if (localStorage.getItem(bootSeenKey)) return 'fast';
+    } catch {}
+    return 'full';
+  }
+
+  async function runBootStep(step, signal) {
+    if (step.type !== undefined) await typeAndEcho(step.type, bootTypingDelay, signal);
+    else if (step.run !== undefined) await runCommand(step.run, signal);
+    else if (step.print !== undefined) printLine(step.print, step.className);
+    else if (step.progress) await renderProgressLine(...step.progress, signal);
+    if (signal.aborted) throw new Error('interrupted');
+    if (step.wait && !prefersReducedMotion()) await sleep(step.wait, signal);
+  }
+
+  // Any key or tap skips the rest of the boot and goes straight to the prompt
   async function boot() {
     disableInput();
-    await typeAndEcho('sudo pacman -S adrian-shell', 45);
-    await sleep(300);
-    printLine('[sudo] password for adrian: ********', 'dim');
-    await sleep(350);
-    await pacmanInstallSimulation();
-    // After install finishes, wait then simulate typing clear and wtfetch
-    await sleep(2000);
-    await typeAndEcho('clear', 45);
-    runCommand('clear');
-    await sleep(200);
-    await typeAndEcho('wtfetch', 45);
-    await runCommand('wtfetch');
+    const mode = getBootMode();
+    const steps = { skip: [], fast: bootScript.greeting, full: [...bootScript.install, ...bootScript.greeting] }[mode];
+    const controller = new AbortController();
+    const skip = () => controller.abort();
+    document.addEventListener('keydown', skip, true);
+    document.addEventListener('pointerdown', skip, true);
+    try {
+      for (const step of steps) await runBootStep(step, controller.signal);
+    } catch {
+      // Skipped: drop any half-typed command
+      inputEl.textContent = '';
+      inputEl.classList.remove('cursor');
+    } finally {
+      document.removeEventListener('keydown', skip, true);
+      document.removeEventListener('pointerdown', skip, true);
+    }
+    try { localStorage.setItem(bootSeenKey, '1'); } catch {}
+    await fsReady;
+    await runRcFile();
     enableInput();
   }
 
-  async function typeAndEcho(text, delayMs = 24) {
+  // Runs ~/.adrianshrc line by line so aliases, variables and greetings live in data, not code
+  async function runRcFile() {
+    const rcPath = joinPath(HOME, '.adrianshrc');
+    const node = getNode(rcPath);
+    if (!node || node.type !== 'file') return;
+    for (const line of node.content.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      await runCommand(trimmed);
+    }
+  }
+
+  // Honours the OS "reduce motion" setting: typed text and progress bars appear in one step
+  function prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  async function typeAndEcho(text, delayMs = 24, signal) {
     inputEl.textContent = '';
     inputEl.classList.add('cursor');
-    for (let i = 0; i < text.length; i++) {
-      inputEl.textContent += text[i];
-      await sleep(delayMs);
+    if (!prefersReducedMotion()) {
+      for (let i = 0; i < text.length; i++) {
+        inputEl.textContent += text[i];
+        await sleep(delayMs, signal);
+      }
     }
     inputEl.classList.remove('cursor');
     printPromptWithCommand(text);
     inputEl.textContent = '';
   }
 
-  function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-  async function pacmanInstallSimulation() {
-    // A stylized, condensed pacman-like sequence
-    printLine('resolving dependencies...', 'dim');
-    await sleep(300);
-    printLine('looking for conflicting packages...', 'dim');
-    await sleep(250);
-    printLine('', '');
-    printLine('Packages (1)  adrian-shell-1.0.0', 'info');
-    printLine('', '');
-    printLine('Total Installed Size:  0.00 MiB', 'dim');
-    printLine('Net Upgrade Size:      0.00 MiB', 'dim');
-    await sleep(350);
-    printLine('', '');
-    printLine(':: Proceed with installation? [Y/n]', 'cyan');
-    await sleep(400);
-    printLine('checking keys in keyring...', 'dim');
-    await sleep(180);
-    printLine('checking package integrity...', 'dim');
-    await sleep(160);
-    printLine('loading package files...', 'dim');
-    await sleep(160);
-    printLine('checking for file conflicts...', 'dim');
-    await sleep(160);
-    printLine('checking available disk space...', 'dim');
-    await sleep(160);
-    printLine('downloading adrian-shell-1.0.0...', 'dim');
-    await renderProgressLine(8.4, 23.5, 1800);
-    printLine('adrian-shell installed', 'ok');
-  }
-
-  async function renderProgressLine(totalMiB, speedMiBps, durationMs) {
+  // Resolves after `ms`; rejects early when `signal` aborts so interrupted loops stop
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) { reject(new Error('interrupted')); return; }
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('interrupted'));
+        }, { once: true });
+      }
+    });
+  }
+
+  async function renderProgressLine(totalMiB, speedMiBps, durationMs, signal) {
     const line = document.createElement('div');
     line.className = 'line progress';
     const promptLine = document.getElementById('prompt-line');
     outputEl.insertBefore(line, promptLine);
 
     const steps = 60;
-    for (let i = 0; i <= steps; i++) {
+    const reduced = prefersReducedMotion();
+    for (let i = reduced ? steps : 0; i <= steps; i++) {
       const percent = Math.round((i / steps) * 100);
       const downloaded = (totalMiB * percent) / 100;
       const remainingMiB = Math.max(0, totalMiB - downloaded);
@@ -723,7 +5453,7 @@
       const text = `${formatMiB(downloaded)}  ${formatMiB(speedMiBps)}/s ${formatTime(remainingSec)} ${bar} ${String(percent).padStart(3)}%`;
       line.textContent = text;
       outputEl.scrollTop = outputEl.scrollHeight;
-      await sleep(durationMs / steps);
+      if (!reduced) await sleep(durationMs / steps, signal);
     }
   }
 
@@ -747,9 +5477,184 @@
     outputEl.scrollTop = outputEl.scrollHeight;
   }
 
+  // Themes set the CSS custom properties every color in styles.css is built from. `default` mirrors
+  // :root in styles.css. Theme packages add more with registerTheme, and custom themes are
+  // `name = value` files in ~/.config/adrian-shell/themes.
+  const themeColorNames = ['bg', 'glow', 'panel', 'text', 'muted', 'green', 'blue', 'yellow', 'red', 'cyan'];
+  const themePalette = ['red', 'yellow', 'green', 'cyan', 'blue', 'muted', 'text'];
+  const builtinThemes = {
+    default: {
+      description: 'The original dark palette',
+      colors: { bg: '#0b0f10', glow: '#0d1316', panel: '#0f1517', text: '#c7d1d8', muted: '#6b7a88', green: '#98c379', blue: '#61afef', yellow: '#e5c07b', red: '#e06c75', cyan: '#56b6c2' },
+    },
+    gruvbox: {
+      description: 'Retro groove, warm and earthy',
+      colors: { bg: '#282828', glow: '#2e2c2b', panel: '#32302f', text: '#ebdbb2', muted: '#928374', green: '#b8bb26', blue: '#83a598', yellow: '#fabd2f', red: '#fb4934', cyan: '#8ec07c' },
+    },
+    solarized: {
+      description: 'Solarized dark',
+      colors: { bg: '#002b36', glow: '#04313d', panel: '#073642', text: '#93a1a1', muted: '#657b83', green: '#859900', blue: '#268bd2', yellow: '#b58900', red: '#dc322f', cyan: '#2aa198' },
+    },
+    dracula: {
+      description: 'Dark with vivid accents',
+      colors: { bg: '#282a36', glow: '#2d2f3d', panel: '#21222c', text: '#f8f8f2', muted: '#6272a4', green: '#50fa7b', blue: '#bd93f9', yellow: '#f1fa8c', red: '#ff5555', cyan: '#8be9fd' },
+    },
+    'high-contrast': {
+      description: 'Pure black with bright colors for readability',
+      colors: { bg: '#000000', glow: '#000000', panel: '#000000', text: '#ffffff', muted: '#c0c0c0', green: '#00ff00', blue: '#5fafff', yellow: '#ffff00', red: '#ff5f5f', cyan: '#00ffff' },
+    },
+  };
+  const themeDir = `${HOME}/.config/adrian-shell/themes`;
+  const themeKey = 'adrian_shell_theme_v1';
+  let activeTheme = { name: 'default', ...builtinThemes.default };
+
+  // Custom theme names mapped to their files; a file named after a built-in theme is ignored
+  function customThemeFiles() {
+    const dir = getNode(themeDir);
+    const files = new Map();
+    if (!dir || dir.type !== 'dir') return files;
+    for (const [fileName, node] of dir.children) {
+      const name = fileName.replace(/\.theme$/, '');
+      if (node.type === 'file' && name !== fileName && !builtinThemes[name]) files.set(name, joinPath(themeDir, fileName));
+    }
+    return files;
+  }
+
+  function registerTheme(name, theme) {
+    builtinThemes[name] = theme;
+  }
+
+  // Falls back to the default theme when the one in use goes away
+  function unregisterTheme(name) {
+    delete builtinThemes[name];
+    if (activeTheme.name !== name) return;
+    applyTheme(findTheme('default'));
+    try { localStorage.removeItem(themeKey); } catch {}
+  }
+
+  function themeNames() {
+    return [...Object.keys(builtinThemes), ...customThemeFiles().keys()];
+  }
+
+  // Lines are `color = #rrggbb` for any of themeColorNames, or `description = text`; colors left out
+  // come from the default theme, except the background glow, which follows the panel color.
+  // Lines starting with # are comments.
+  function parseThemeFile(path) {
+    const colors = { ...builtinThemes.default.colors };
+    let description = `Custom theme from ${displayPath(path)}`;
+    let glow = null;
+    readFile(path).split('\n').forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) return;
+      const fail = (message) => new Error(`${displayPath(path)}: line ${index + 1}: ${message}`);
+      const match = /^([A-Za-z-]+)\s*=\s*(.*)$/.exec(line);
+      if (!match) throw fail("expected 'name = value'");
+      const [, key, value] = match;
+      if (key === 'description') {
+        description = value;
+      } else if (!themeColorNames.includes(key)) {
+        throw fail(`unknown color '${key}'`);
+      } else if (!/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+        throw fail(`invalid color '${value}' for ${key}: use #rgb or #rrggbb`);
+      } else if (key === 'glow') {
+        glow = value;
+      } else {
+        colors[key] = value;
+      }
+    });
+    return { description, colors: { ...colors, glow: glow || colors.panel } };
+  }
+
+  function findTheme(name) {
+    if (builtinThemes[name]) return { name, ...builtinThemes[name] };
+    const path = customThemeFiles().get(name);
+    if (!path) throw new Error(`unknown theme '${name}': choose ${themeNames().join(', ')}`);
+    return { name, ...parseThemeFile(path) };
+  }
+
+  function applyTheme(theme) {
+    const root = document.documentElement.style;
+    for (const key of themeColorNames) {
+      if (theme.name === 'default') root.removeProperty(`--${key}`);
+      else root.setProperty(`--${key}`, theme.colors[key]);
+    }
+    activeTheme = theme;
+  }
+
+  // Built-in themes apply straight away; custom ones are retried once the filesystem overlay has loaded
+  function restoreTheme() {
+    let name = null;
+    try { name = localStorage.getItem(themeKey); } catch {}
+    if (!name || name === activeTheme.name) return;
+    try { applyTheme(findTheme(name)); } catch {}
+  }
+
+  function paletteStrip(colors) {
+    return themePalette.map(key => `<span style="color: ${colors[key]}">███</span>`).join('');
+  }
+
+  // A few sample lines drawn in the theme's own colors, without applying it
+  function printThemePreview(theme, stdout) {
+    const { colors } = theme;
+    const rows = [
+      [['blue', theme.name], ['muted', ` - ${theme.description}`]],
+      [['green', '[adrian@webterm ~]$'], ['cyan', ' ls projects']],
+      [['blue', 'terminal-website/'], ['text', '  README.md']],
+      [['yellow', 'warning'], ['red', '  error'], ['muted', '  comment']],
+    ];
+    const width = Math.max(...rows.map(row => row.reduce((n, [, text]) => n + text.length, 0))) + 2;
+    for (const row of rows) {
+      const length = row.reduce((n, [, text]) => n + text.length, 0);
+      const spans = row.map(([key, text]) => `<span style="color: ${colors[key]}">${escapeHtml(text)}</span>`).join('');
+      stdout.printHtml(`<span style="background: ${colors.bg}"> ${spans}${' '.repeat(width - length - 1)}</span>`);
+    }
+    stdout.printHtml(`<span style="background: ${colors.bg}"> ${paletteStrip(colors)}${' '.repeat(width - themePalette.length * 3 - 1)}</span>`);
+  }
+
+  registerCommand('theme', ([name], { stdout, stderr, opts }) => {
+    if (opts.p) {
+      const names = name === undefined ? themeNames() : [name];
+      let status = 0;
+      names.forEach((themeName, i) => {
+        try {
+          if (i > 0) stdout.print('');
+          printThemePreview(findTheme(themeName), stdout);
+        } catch (err) {
+          stderr.print(`theme: ${err.message}`);
+          status = 1;
+        }
+      });
+      return status;
+    }
+    if (name === undefined) {
+      const custom = customThemeFiles();
+      const names = themeNames();
+      const width = Math.max(...names.map(n => n.length)) + 2;
+      for (const themeName of names) {
+        const marker = themeName === activeTheme.name ? '*' : ' ';
+        const description = builtinThemes[themeName] ? builtinThemes[themeName].description : displayPath(custom.get(themeName));
+        stdout.print(`${marker} ${themeName.padEnd(width)}${description}`);
+      }
+      return 0;
+    }
+    try {
+      applyTheme(findTheme(name));
+    } catch (err) {
+      stderr.print(`theme: ${err.message}`);
+      return 1;
+    }
+    try { localStorage.setItem(themeKey, name); } catch {}
+    return 0;
+  }, 'List, preview and apply color themes', {
+    options: [{ short: 'p', long: 'preview', description: 'Show a sample of the theme (every theme without a name) instead of applying it' }],
+    operands: [{ name: 'name' }],
+    examples: ['theme', 'theme -p dracula', 'theme gruvbox', 'cat ~/.config/adrian-shell/themes/matrix.theme'],
+    complete: () => themeNames(),
+  });
+
   // wtfetch command with Tux ASCII and user info
-  registerCommand('wtfetch', async () => {
-    await renderWtfetch({
+  registerCommand('wtfetch', async (args, { stdout, signal }) => {
+    await renderWtfetch(stdout, signal, {
       name: 'Adrian Nilsson',
       email: 'adrian.nilsson.coding@gmail.com',
       favoriteLanguage: 'Rust',
@@ -758,9 +5663,11 @@
       shell: 'adrian-shell',
       os: 'WebTerm Linux',
     });
-  }, 'Show system information');
+  }, 'Show system information', {
+    featured: true,
+  });
 
-  async function renderWtfetch(info) {
+  async function renderWtfetch(stdout, signal, info) {
     const tux = [
       "    .--.",
       "   |o_o |",
@@ -779,6 +5686,9 @@
       `<span class="wt-key">Experience</span>: <span class="wt-val">${escapeHtml(info.experience)}</span>`,
       `<span class="wt-key">OS</span>: <span class="wt-val">${escapeHtml(info.os)}</span>`,
       `<span class="wt-key">Shell</span>: <span class="wt-val">${escapeHtml(info.shell)}</span>`,
+      `<span class="wt-key">Theme</span>: <span class="wt-val">${escapeHtml(activeTheme.name)}</span>`,
+      '',
+      paletteStrip(activeTheme.colors),
     ];
 
     const padWidth = tux.reduce((m, l) => Math.max(m, l.length), 0) + 2;
@@ -788,18 +5698,28 @@
       const left = tux[i] || '';
       const right = lines[i] || '';
       const html = `<span class="wtfetch">${escapeHtml(left.padEnd(padWidth, ' '))}</span>${right}`;
-      printLine(html);
-      await sleep(24);
+      stdout.printHtml(html);
+      await sleep(24, signal);
     }
   }
 
   // Clear command
   registerCommand('clear', () => {
     clearOutput();
-  }, 'Clear the terminal screen');
+  }, 'Clear the terminal screen', {
+    featured: true,
+  });
 
   // Initialize
+  const fsReady = loadFsOverlay();
+  for (const name of Object.keys(packageManifest).filter(isInstalled)) {
+    if (packageManifest[name].load) packageManifest[name].load();
+  }
+  restoreTheme();
+  fsReady.then(restoreTheme);
+
   window.addEventListener('load', () => {
+    renderHelpBox();
     boot();
   });
 })();